@@ -25,15 +25,19 @@ import Cairo from 'cairo';
 import System from 'system';
 
 import Clutter from 'gi://Clutter';
+import Gdk from 'gi://Gdk';
+import GdkPixbuf from 'gi://GdkPixbuf';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
 import Gtk from 'gi://Gtk';
+import Meta from 'gi://Meta';
 import Pango from 'gi://Pango';
 import Shell from 'gi://Shell';
 import St from 'gi://St';
 
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as PointerWatcher from 'resource:///org/gnome/shell/ui/pointerWatcher.js';
 import * as Screenshot from 'resource:///org/gnome/shell/ui/screenshot.js';
 
 import { gettext as _, pgettext } from 'resource:///org/gnome/shell/extensions/extension.js';
@@ -42,6 +46,7 @@ import { CURATED_UUID as UUID } from './utils.js';
 import * as Elements from './elements.js'
 import { Image } from './files.js'
 import * as Menu from './menu.js'
+import * as SvgParser from './svgParser.js'
 
 
 const MOTION_TIME = 1; // ms, time accuracy for free drawing, max is about 33 ms. The lower it is, the smoother the drawing is.
@@ -49,22 +54,312 @@ const TEXT_CURSOR_TIME = 600; // ms
 const ELEMENT_GRABBER_TIME = 80; // ms, default is about 16 ms
 const TOGGLE_ANIMATION_DURATION = 300; // ms
 const GRID_TILES_HORIZONTAL_NUMBER = 30;
+const HIGHLIGHTER_LINE_WIDTH_FACTOR = 4;
+const LASER_FRAME_TIME = 16; // ms
+const MAGNIFIER_POINTER_TIME = 16; // ms, the pointer is watched rather than followed through motion events, see toggleMagnifier
+const LASER_GLOW_LINE_WIDTH_FACTOR = 3;
+const LASER_GLOW_OPACITY = 0.3;
+const MIN_PRESSURE_WIDTH_RATIO = 0.2; // line widths, the width of a stroke at the lowest pen pressure
+const MAX_PEN_TILT = 60; // degrees
+const PEN_TILT_WIDTH_FACTOR = 2; // the stroke widening at the maximal pen tilt
+const SELECTION_HANDLE_SIZE = 6; // px
+const ERASER_MIN_RADIUS = 4; // px
+const SNAP_DISTANCE = 8; // px
+const NUDGE_DISTANCE = 1; // px
+const NUDGE_DISTANCE_MORE = 10; // px
+const SNAP_ANGLE_STEP = Math.PI / 12; // 15°
+const REDACTION_PIXEL_SIZE = 12; // px, the size of the pixelation blocks
+const REDACTION_BLUR_SIZE = 6; // px, the captured region is downscaled by this factor before being blurred
 const COLOR_PICKER_EXTENSION_UUID = 'color-picker@tuberry';
 
-const { Shape, StaticColor, TextAlignment, Transformation } = Elements;
+const { ArrowHeads, ArrowHeadStyle, RedactionMode, Shape, StampStyle, StaticColor, TextAlignment, Transformation } = Elements;
+const { getElementContainsPoint, getElementEndpoints, getElementExtents, getExtentsUnion, getFlattenedElements, getPathExtents } = Elements;
 const { DisplayStrings } = Menu;
 
+const NUDGE_DIRECTIONS = { [Clutter.KEY_Left]: [-1, 0], [Clutter.KEY_Right]: [1, 0], [Clutter.KEY_Up]: [0, -1], [Clutter.KEY_Down]: [0, 1] };
 const FontGenericFamilies = ['Sans-Serif', 'Serif', 'Monospace', 'Cursive', 'Fantasy'];
+const Brush = { HIGHLIGHTER: 50, LASER: 51 };
+const Eraser = { OBJECT_ERASER: 60, STROKE_ERASER: 61 };
 const Manipulation = { MOVE: 100, RESIZE: 101, MIRROR: 102 };
 export const Tool = {
     getNameOf: function (value) {
         return Object.keys(this).find(key => this[key] == value);
     },
     ...Shape,
+    ...Brush,
+    ...Eraser,
     ...Manipulation
 };
 Object.defineProperty(Tool, 'getNameOf', { enumerable: false });
 
+// A clipboard content offered in several formats at once (St.Clipboard.set_content offers a single one).
+// "contents" maps the mimetypes to GLib.Bytes.
+const MultipleSelectionSource = GObject.registerClass({
+    GTypeName: `${UUID}-MultipleSelectionSource`,
+}, class MultipleSelectionSource extends Meta.SelectionSource {
+    _init(contents) {
+        super._init();
+        this._contents = contents;
+        this._streams = new Map();
+    }
+
+    vfunc_get_mimetypes() {
+        return Object.keys(this._contents);
+    }
+
+    vfunc_read_async(mimetype, cancellable, callback) {
+        let task = Gio.Task.new(this, cancellable, callback);
+        this._streams.set(task, Gio.MemoryInputStream.new_from_bytes(this._contents[mimetype] ?? new GLib.Bytes(null)));
+        task.return_boolean(true);
+    }
+
+    vfunc_read_finish(result) {
+        result.propagate_boolean();
+        let stream = this._streams.get(result);
+        this._streams.delete(result);
+        return stream;
+    }
+});
+
+// The undo history is a tree of commands, objects with undo and redo methods that are added once done.
+// Each command also has a label and an icon to be listed in the menu.
+// A command with a key is merged into the previous command if it has the same key,
+// so that repeated small changes (e.g. line width increments) are undone at once.
+// Adding a command after undoing starts a new branch: the undone commands are kept in their own branch
+// and can be recovered by jumping to them.
+class History {
+    constructor() {
+        // The root stands for the oldest state that can be restored, it is never undone.
+        this._root = { children: [] };
+        this.current = this._root;
+        this._size = Infinity;
+    }
+
+    get size() {
+        return this._size;
+    }
+
+    // The size limits the depth of the current branch, the oldest commands are dropped with their branches.
+    set size(size) {
+        this._size = size;
+        let line = this._getPathTo(this.current);
+        while (line.length > size + 1) {
+            let newRoot = line[1];
+            newRoot.parent = null;
+            this._root = newRoot;
+            line.shift();
+        }
+    }
+
+    get root() {
+        return this._root;
+    }
+
+    clear() {
+        this._root = { children: [] };
+        this.current = this._root;
+    }
+
+    get canUndo() {
+        return this.current != this._root;
+    }
+
+    get canRedo() {
+        return Boolean(this.current.next);
+    }
+
+    // The commands from the root to the last command that can be redone, through the current one.
+    get line() {
+        let line = this._getPathTo(this.current);
+        for (let command = this.current.next; command; command = command.next)
+            line.push(command);
+        return line;
+    }
+
+    // The last commands of the branches that start from the command, except the one of the line.
+    getBranchTips(command) {
+        return command.children.filter(child => child != command.next).map(child => {
+            while (child.next)
+                child = child.next;
+            return child;
+        });
+    }
+
+    _getPathTo(command) {
+        let path = [];
+        for (; command; command = command.parent)
+            path.unshift(command);
+        return path;
+    }
+
+    // Whether a command with the key would be merged into the current one.
+    getIsMergeable(key) {
+        return key !== undefined && this.current.key === key && !this.current.children.length;
+    }
+
+    add(command) {
+        let lastCommand = this.current;
+
+        if (this.getIsMergeable(command.key)) {
+            let [undo, redo] = [lastCommand.undo, lastCommand.redo];
+            lastCommand.undo = () => {
+                command.undo();
+                undo();
+            };
+            lastCommand.redo = () => {
+                redo();
+                command.redo();
+            };
+            return;
+        }
+
+        Object.assign(command, { parent: lastCommand, children: [], next: null });
+        lastCommand.children.push(command);
+        lastCommand.next = command;
+        this.current = command;
+        this.size = this._size;
+    }
+
+    undo() {
+        if (!this.canUndo)
+            return false;
+
+        this.current.undo();
+        this.current.parent.next = this.current;
+        this.current = this.current.parent;
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo)
+            return false;
+
+        this.current = this.current.next;
+        this.current.redo();
+        return true;
+    }
+
+    // Undo the commands up to the common ancestor and redo the ones down to the target.
+    jumpTo(target) {
+        let targetPath = this._getPathTo(target);
+        if (targetPath[0] != this._root || target == this.current)
+            return false;
+
+        while (!targetPath.includes(this.current))
+            this.undo();
+
+        targetPath.slice(targetPath.indexOf(this.current) + 1).forEach(command => {
+            this.current.next = command;
+            this.redo();
+        });
+        return true;
+    }
+}
+
+// Snapping to the grid lines and to the other elements: their endpoints, their centers and the edges of their bounding boxes.
+// The targets are computed once per gesture, from the elements that do not move.
+// The guides show the last snaps: { axis, value } for an aligned coordinate, { point } for a reached point
+// and { origin, point } for a direction constrained to the angle steps.
+class Snapping {
+    constructor() {
+        this.guides = [];
+        this._points = [];
+        this._coordinates = [[], []];
+        this._grid = null;
+    }
+
+    // grid is { spacing, origin } or null if the grid is hidden.
+    setTargets(elements, grid) {
+        this.guides = [];
+        this._points = [];
+        this._coordinates = [[], []];
+        this._grid = grid;
+
+        elements.forEach(element => {
+            let extents = getElementExtents(element);
+            if (!extents)
+                return;
+
+            let [x1, y1, x2, y2] = extents;
+            let center = [(x1 + x2) / 2, (y1 + y2) / 2];
+            this._points.push(center, ...getElementEndpoints(element));
+            this._coordinates[0].push(x1, center[0], x2);
+            this._coordinates[1].push(y1, center[1], y2);
+        });
+    }
+
+    clear() {
+        this.setTargets([], null);
+    }
+
+    // The nearest target coordinate on the axis (0 for x, 1 for y), or null if none is close enough.
+    _getNearestCoordinate(value, axis) {
+        let candidates = this._coordinates[axis].slice();
+        if (this._grid)
+            candidates.push(this._grid.origin[axis] + Math.round((value - this._grid.origin[axis]) / this._grid.spacing) * this._grid.spacing);
+
+        return candidates.reduce((nearest, candidate) => {
+            let distance = Math.abs(candidate - value);
+            return distance < SNAP_DISTANCE && (nearest === null || distance < Math.abs(nearest - value)) ? candidate : nearest;
+        }, null);
+    }
+
+    // A point of another element wins, otherwise each coordinate is aligned separately.
+    snapPoint(x, y) {
+        this.guides = [];
+
+        let nearestPoint = this._points.reduce((nearest, point) => {
+            let distance = Math.hypot(point[0] - x, point[1] - y);
+            return distance < SNAP_DISTANCE && (!nearest || distance < Math.hypot(nearest[0] - x, nearest[1] - y)) ? point : nearest;
+        }, null);
+        if (nearestPoint) {
+            this.guides.push({ point: nearestPoint });
+            return nearestPoint.slice();
+        }
+
+        return [x, y].map((value, axis) => {
+            let coordinate = this._getNearestCoordinate(value, axis);
+            if (coordinate === null)
+                return value;
+
+            this.guides.push({ axis, value: coordinate });
+            return coordinate;
+        });
+    }
+
+    // Moving values that are translated by [dx, dy]: return the translation that aligns one of them on each axis.
+    snapTranslation(movingCoordinates, dx, dy) {
+        this.guides = [];
+
+        return [dx, dy].map((delta, axis) => {
+            let best = null;
+            movingCoordinates[axis].forEach(value => {
+                let coordinate = this._getNearestCoordinate(value + delta, axis);
+                if (coordinate !== null && (!best || Math.abs(coordinate - value - delta) < Math.abs(best.correction)))
+                    best = { correction: coordinate - value - delta, coordinate };
+            });
+            if (!best)
+                return delta;
+
+            this.guides.push({ axis, value: best.coordinate });
+            return delta + best.correction;
+        });
+    }
+
+    snapAngle(angle) {
+        return Math.round(angle / SNAP_ANGLE_STEP) * SNAP_ANGLE_STEP;
+    }
+
+    // Project the point on the nearest direction from the origin whose angle is a multiple of the step.
+    snapDirection(origin, x, y) {
+        let angle = this.snapAngle(Math.atan2(y - origin[1], x - origin[0]));
+        let distance = (x - origin[0]) * Math.cos(angle) + (y - origin[1]) * Math.sin(angle);
+        let point = [origin[0] + distance * Math.cos(angle), origin[1] + distance * Math.sin(angle)];
+        this.guides = [{ origin, point }];
+        return point;
+    }
+}
+
 
 
 // Drawing layers are the proper drawing area widgets (painted thanks to Cairo).
@@ -132,9 +427,19 @@ export const DrawingArea = GObject.registerClass({
         this.gridLayer.hide();
         this.gridLayer.opacity = 0;
         this.layerContainer.add_child(this.gridLayer);
+        this.spotlightLayer = new DrawingLayer(this._repaintSpotlight.bind(this));
+        this.spotlightLayer.hide();
+        this.spotlightLayer.opacity = 0;
+        this.layerContainer.add_child(this.spotlightLayer);
 
         this.elements = [];
-        this.undoneElements = [];
+        this.history = new History();
+        this.snapping = new Snapping();
+        this.hasSnapping = false;
+        this.hasSnapGuides = false;
+        this._hasGrid = false;
+        this.selectedElements = [];
+        this.laserStrokes = [];
         this.currentElement = null;
         this.currentTool = Shape.NONE;
         if (toolConf["toolPalette"][0] != "") {
@@ -153,6 +458,10 @@ export const DrawingArea = GObject.registerClass({
         this.currentLineJoin = Cairo.LineJoin.ROUND;
         this.currentLineCap = Cairo.LineCap.ROUND;
         this.currentFillRule = Cairo.FillRule.WINDING;
+        this.currentArrowHeads = ArrowHeads.SINGLE;
+        this.currentArrowHeadStyle = ArrowHeadStyle.OPEN;
+        this.currentStampStyle = StampStyle.CIRCLE;
+        this.currentRedactionMode = RedactionMode.PIXELATE;
         this.isSquareArea = false;
         this.hasBackground = false;
         this.textHasCursor = false;
@@ -189,10 +498,12 @@ export const DrawingArea = GObject.registerClass({
 
     set currentTool(tool) {
         this._currentTool = tool;
-        if (this.hasManipulationTool)
+        if (this.hasManipulationTool) {
             this._startElementGrabber();
-        else
+        } else {
             this._stopElementGrabber();
+            this.selectedElements = [];
+        }
     }
 
     get currentPalette() {
@@ -247,6 +558,10 @@ export const DrawingArea = GObject.registerClass({
         return Object.keys(Manipulation).map(key => Manipulation[key]).indexOf(this.currentTool) != -1;
     }
 
+    get hasEraserTool() {
+        return Object.keys(Eraser).map(key => Eraser[key]).indexOf(this.currentTool) != -1;
+    }
+
     // Boolean wrapper for switch menu item.
     get currentEvenodd() {
         return this.currentFillRule == Cairo.FillRule.EVEN_ODD;
@@ -296,6 +611,27 @@ export const DrawingArea = GObject.registerClass({
             this.gridLineWidth = Math.round(this._extension.drawingSettings.get_double('grid-line-width') * 100) / 100;
         }
 
+        this.highlighterOpacity = Math.round(this._extension.drawingSettings.get_double('highlighter-opacity') * 100) / 100;
+        this.laserColor = this.getColorFromString(this._extension.drawingSettings.get_string('laser-color'), 'Red');
+        this.laserFadeDuration = this._extension.drawingSettings.get_uint('laser-fade-duration');
+        this.laserGlow = this._extension.drawingSettings.get_boolean('laser-glow');
+        this.shapeRecognitionAuto = this._extension.drawingSettings.get_boolean('shape-recognition-auto');
+        this.history.size = this._extension.drawingSettings.get_uint('history-size');
+        this.pngDoubleSize = this._extension.drawingSettings.get_boolean('png-double-size');
+        this.svgEmbedDrawing = this._extension.drawingSettings.get_boolean('svg-embed-drawing');
+
+        this.spotlightShape = this._extension.drawingSettings.get_string('spotlight-shape');
+        this.spotlightSize = this._extension.drawingSettings.get_uint('spotlight-size');
+        this.spotlightDim = Math.round(this._extension.drawingSettings.get_double('spotlight-dim') * 100) / 100;
+        this.spotlightFollowPointer = this._extension.drawingSettings.get_boolean('spotlight-follow-pointer');
+        if (this.hasSpotlight)
+            this.spotlightLayer.queue_repaint();
+
+        this.magnifierZoom = Math.round(this._extension.drawingSettings.get_double('magnifier-zoom') * 100) / 100;
+        this.magnifierSize = this._extension.drawingSettings.get_uint('magnifier-size');
+        if (this.hasMagnifier)
+            this._updateMagnifier(...global.get_pointer());
+
         this.dashOffset = Math.round(this._extension.drawingSettings.get_double('dash-offset') * 100) / 100;
         if (this._extension.drawingSettings.get_boolean('dash-array-auto')) {
             this.dashArray = [0, 0];
@@ -307,13 +643,20 @@ export const DrawingArea = GObject.registerClass({
     }
 
     _repaintBack(cr) {
+        let selectionExtents = null;
+
         this.elements.forEach(element => {
+            let isSelected = this.selectedElements.includes(element);
+
             cr.save();
             element.buildCairo(cr, {
-                showElementBounds: this.grabbedElement && this.grabbedElement == element,
+                showElementBounds: this.grabbedElement && this.grabbedElement == element || isSelected,
                 drawElementBounds: this.grabPoint ? true : false
             });
 
+            if (isSelected)
+                selectionExtents = getExtentsUnion(selectionExtents, getPathExtents(cr, element));
+
             if (this.grabPoint)
                 this._searchElementToGrab(cr, element);
 
@@ -329,6 +672,9 @@ export const DrawingArea = GObject.registerClass({
 
         });
 
+        if (selectionExtents)
+            this._paintSelectionBox(cr, selectionExtents);
+
         if (this.currentElement?.eraser) {
             this.currentElement.buildCairo(cr, {
                 showTextCursor: this.textHasCursor,
@@ -340,9 +686,39 @@ export const DrawingArea = GObject.registerClass({
     }
 
     _repaintFore(cr) {
+        let now = GLib.get_monotonic_time();
+        this.laserStrokes.forEach(element => {
+            this._paintLaserStroke(cr, element, 1 - (now - element.fadeStartTime) / (this.laserFadeDuration * 1000));
+        });
+
+        if (this.marquee) {
+            let [x1, y1, x2, y2] = this.marquee;
+            cr.save();
+            cr.setSourceColor(StaticColor.BLUE);
+            cr.setLineWidth(1);
+            cr.setDash([4, 4], 0);
+            cr.rectangle(x1, y1, x2 - x1, y2 - y1);
+            cr.stroke();
+            cr.restore();
+        }
+
+        if (this.eraserPoint) {
+            cr.save();
+            cr.setSourceColor(StaticColor.BLUE);
+            cr.setLineWidth(1);
+            cr.arc(this.eraserPoint[0], this.eraserPoint[1], this._eraserRadius, 0, 2 * Math.PI);
+            cr.stroke();
+            cr.restore();
+        }
+
         if (!this.currentElement || this.currentElement.eraser)
             return;
 
+        if (this.currentElement.laser) {
+            this._paintLaserStroke(cr, this.currentElement, 1);
+            return;
+        }
+
         this.currentElement.buildCairo(cr, {
             showTextCursor: this.textHasCursor,
             showElementBounds: this.currentElement.shape != Shape.TEXT || !this.isWriting,
@@ -351,10 +727,39 @@ export const DrawingArea = GObject.registerClass({
         cr.stroke();
     }
 
+    // The stroke is painted in a group so that its glow and its core fade together.
+    _paintLaserStroke(cr, element, opacity) {
+        if (opacity <= 0)
+            return;
+
+        cr.save();
+        cr.pushGroup();
+        element.buildCairo(cr, {});
+
+        if (this.laserGlow) {
+            cr.save();
+            cr.setSourceRGBA(element.color.red / 255, element.color.green / 255, element.color.blue / 255, LASER_GLOW_OPACITY);
+            cr.setLineWidth(element.line.lineWidth * LASER_GLOW_LINE_WIDTH_FACTOR);
+            cr.strokePreserve();
+            cr.restore();
+        }
+
+        cr.stroke();
+        cr.popGroupToSource();
+        cr.paintWithAlpha(Math.min(opacity, 1));
+        cr.restore();
+    }
+
     _repaintGrid(cr) {
         if (!this.reactive)
             return;
 
+        if (this.hasGrid)
+            this._paintGrid(cr);
+        this._paintSnapGuides(cr);
+    }
+
+    _paintGrid(cr) {
         cr.setSourceColor(this.gridColor);
 
         let [gridX, gridY] = [0, 0];
@@ -378,20 +783,106 @@ export const DrawingArea = GObject.registerClass({
         }
     }
 
+    _paintSnapGuides(cr) {
+        if (!this.snapping.guides.length)
+            return;
+
+        cr.save();
+        cr.setSourceColor(StaticColor.BLUE);
+        cr.setLineWidth(1);
+        cr.setDash([4, 4], 0);
+        this.snapping.guides.forEach(guide => {
+            if (guide.origin) {
+                cr.moveTo(...guide.origin);
+                cr.lineTo(...guide.point);
+            } else if (guide.point) {
+                cr.newSubPath();
+                cr.arc(guide.point[0], guide.point[1], SNAP_DISTANCE / 2, 0, 2 * Math.PI);
+            } else if (guide.axis == 0) {
+                cr.moveTo(guide.value, 0);
+                cr.lineTo(guide.value, this.monitor.height);
+            } else {
+                cr.moveTo(0, guide.value);
+                cr.lineTo(this.monitor.width, guide.value);
+            }
+        });
+        cr.stroke();
+        cr.restore();
+    }
+
+    // A translucent dark overlay with a clear hole, around the pointer or around a dragged region.
+    _repaintSpotlight(cr) {
+        cr.setSourceRGBA(0, 0, 0, this.spotlightDim);
+        cr.setFillRule(Cairo.FillRule.EVEN_ODD);
+        cr.rectangle(0, 0, this.layerContainer.width, this.layerContainer.height);
+
+        let region = null;
+        if (this.spotlightFollowPointer) {
+            let [x, y] = this.spotlightCenter || [this.layerContainer.width / 2, this.layerContainer.height / 2];
+            region = [x - this.spotlightSize / 2, y - this.spotlightSize / 2, this.spotlightSize, this.spotlightSize];
+        } else if (this.spotlightRegion) {
+            let [x1, y1, x2, y2] = this.spotlightRegion;
+            region = [Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1)];
+        }
+
+        if (region && region[2] && region[3]) {
+            let [x, y, width, height] = region;
+            if (this.spotlightShape == 'rectangle') {
+                cr.rectangle(x, y, width, height);
+            } else {
+                cr.save();
+                cr.translate(x + width / 2, y + height / 2);
+                cr.scale(width / 2, height / 2);
+                cr.arc(0, 0, 1, 0, 2 * Math.PI);
+                cr.restore();
+            }
+        }
+
+        cr.fill();
+    }
+
+    // A dashed box with a handle at each corner and in the middle of each side.
+    _paintSelectionBox(cr, [x1, y1, x2, y2]) {
+        cr.save();
+        cr.setOperator(Cairo.Operator.OVER);
+        cr.setSourceColor(StaticColor.BLUE);
+        cr.setLineWidth(1);
+        cr.setDash([4, 4], 0);
+        cr.rectangle(x1, y1, x2 - x1, y2 - y1);
+        cr.stroke();
+
+        [x1, (x1 + x2) / 2, x2].forEach((x, i) => [y1, (y1 + y2) / 2, y2].forEach((y, j) => {
+            if (i != 1 || j != 1)
+                cr.rectangle(x - SELECTION_HANDLE_SIZE / 2, y - SELECTION_HANDLE_SIZE / 2, SELECTION_HANDLE_SIZE, SELECTION_HANDLE_SIZE);
+        }));
+        cr.fill();
+        cr.restore();
+    }
+
     _getHasImageBack() {
-        return this.elements.some(element => element.shape == Shape.IMAGE);
+        return getFlattenedElements(this.elements).some(element => element.shape == Shape.IMAGE || element.shape == Shape.REDACTION);
     }
 
     _getHasImageFore() {
         return this.currentElement && this.currentElement.shape == Shape.IMAGE || false;
     }
 
+    // The counter is not stored apart from the elements so that it is saved with the drawing and rolled back by undo.
+    _getNextStampNumber() {
+        return getFlattenedElements(this.elements).filter(element => element.shape == Shape.STAMP)
+                            .reduce((max, element) => Math.max(max, element.number), 0) + 1;
+    }
+
     _redisplay() {
+        this.selectedElements = this.selectedElements.filter(element => this.elements.includes(element));
+
         // force area to emit 'repaint'
         this.backLayer.queue_repaint();
         this.foreLayer.queue_repaint();
         if (this.hasGrid)
             this.gridLayer.queue_repaint();
+        if (this.hasSpotlight)
+            this.spotlightLayer.queue_repaint();
     }
 
     _transformStagePoint(stageX, stageY) {
@@ -410,6 +901,7 @@ export const DrawingArea = GObject.registerClass({
         let [x, y] = event.get_coords();
         let controlPressed = event.has_control_modifier();
         let shiftPressed = event.has_shift_modifier();
+        let isSnapping = this._getIsSnapping(event);
 
         if (this.currentElement && this.currentElement.shape == Shape.TEXT && this.isWriting)
             // finish writing
@@ -422,11 +914,17 @@ export const DrawingArea = GObject.registerClass({
         }
 
         if (button == 1) {
-            if (this.hasManipulationTool) {
+            if (this.spotlightRegionPending) {
+                this._startSpotlightRegion(x, y);
+            } else if (this.hasManipulationTool) {
                 if (this.grabbedElement)
                     this._startTransforming(x, y, controlPressed, shiftPressed);
+                else
+                    this._startMarquee(x, y, shiftPressed);
+            } else if (this.hasEraserTool) {
+                this._startErasing(x, y, event.get_device());
             } else {
-                this._startDrawing(x, y, shiftPressed, event.get_device());
+                this._startDrawing(x, y, shiftPressed, event.get_device(), this._getPressureWidthRatio(event), isSnapping);
             }
             return Clutter.EVENT_STOP;
         } else if (button == 2) {
@@ -499,11 +997,36 @@ export const DrawingArea = GObject.registerClass({
 
             this.currentElement.addPoint();
             return Clutter.EVENT_STOP;
+        } else if (this.hasManipulationTool && !this.motionHandler && NUDGE_DIRECTIONS[event.get_key_symbol()]) {
+            let [dx, dy] = NUDGE_DIRECTIONS[event.get_key_symbol()].map(value => value * (event.has_shift_modifier() ? NUDGE_DISTANCE_MORE : NUDGE_DISTANCE));
+            if (this._nudgeElements(dx, dy))
+                return Clutter.EVENT_STOP;
         }
 
         return Clutter.EVENT_PROPAGATE;
     }
 
+    // Successive nudges of the same elements make a single translation and a single command.
+    _nudgeElements(dx, dy) {
+        let elements = this._targetElements;
+        if (!elements.length)
+            return false;
+
+        let key = 'nudge';
+        if (this.history.getIsMergeable(`${key}:${elements.map(element => this.elements.indexOf(element))}`)) {
+            elements.forEach(element => {
+                element.lastTransformation.slideX += dx;
+                element.lastTransformation.slideY += dy;
+            });
+        } else {
+            this._addTransformations(elements, () => ({ type: Transformation.TRANSLATION, slideX: dx, slideY: dy }),
+                                     DisplayStrings.Tool[Manipulation.MOVE], this._getToolIcon(Manipulation.MOVE), key);
+        }
+
+        this._redisplay();
+        return true;
+    }
+
     _onScroll(actor, event) {
         if (this.helper.visible)
             return Clutter.EVENT_PROPAGATE;
@@ -533,7 +1056,7 @@ export const DrawingArea = GObject.registerClass({
             return;
 
         this.elementGrabberHandler = this.connect('motion-event', (actor, event) => {
-            if (this.motionHandler || this.grabbedElementLocked) {
+            if (this.motionHandler || this.marquee || this.grabbedElementLocked) {
                 this.grabPoint = null;
                 return;
             }
@@ -569,7 +1092,11 @@ export const DrawingArea = GObject.registerClass({
         if (!success)
             return;
 
-        if (this.currentTool == Manipulation.MIRROR) {
+        if (duplicate) {
+            // With any manipulation tool, a Shift-click toggles the selection and a Shift-drag transforms a copy.
+            // The copy is made on the first pointer motion, so that a mere click does not leave a duplicate.
+            this.shiftClickedElement = this.grabbedElement;
+        } else if (this.currentTool == Manipulation.MIRROR) {
             this.grabbedElementLocked = !this.grabbedElementLocked;
             if (this.grabbedElementLocked) {
                 this.updatePointerCursor();
@@ -585,29 +1112,8 @@ export const DrawingArea = GObject.registerClass({
             this._stopTransforming();
         });
 
-        if (duplicate) {
-            // deep cloning
-            let copy = new this.grabbedElement.constructor(JSON.parse(JSON.stringify(this.grabbedElement)));
-            if (this.grabbedElement.color)
-                copy.color = this.grabbedElement.color;
-            if (this.grabbedElement.font)
-                copy.font = this.grabbedElement.font;
-            if (this.grabbedElement.image)
-                copy.image = this.grabbedElement.image;
-            this.elements.push(copy);
-            this.grabbedElement = copy;
-        }
-
-        let undoable = !duplicate;
-
-        if (this.currentTool == Manipulation.MOVE)
-            this.grabbedElement.startTransformation(startX, startY, controlPressed ? Transformation.ROTATION : Transformation.TRANSLATION, undoable);
-        else if (this.currentTool == Manipulation.RESIZE)
-            this.grabbedElement.startTransformation(startX, startY, controlPressed ? Transformation.STRETCH : Transformation.SCALE_PRESERVE, undoable);
-        else if (this.currentTool == Manipulation.MIRROR) {
-            this.grabbedElement.startTransformation(startX, startY, controlPressed ? Transformation.INVERSION : Transformation.REFLECTION, undoable);
-            this._redisplay();
-        }
+        if (!duplicate)
+            this._startTransformations(startX, startY, controlPressed);
 
         this.motionHandler = this.connect('motion-event', (actor, event) => {
             if (this.spaceKeyPressed)
@@ -618,41 +1124,116 @@ export const DrawingArea = GObject.registerClass({
             if (!s)
                 return;
             let controlPressed = event.has_control_modifier();
-            this._updateTransforming(x, y, controlPressed);
+
+            if (!this.transformedElements) {
+                if (x == startX && y == startY)
+                    return;
+                this._duplicateGrabbedElement();
+                this._startTransformations(startX, startY, controlPressed);
+            }
+
+            this._updateTransforming(x, y, controlPressed, this._getIsSnapping(event));
         });
     }
 
-    _updateTransforming(x, y, controlPressed) {
-        let undoable = this.grabbedElement.lastTransformation.undoable || false;
-
-        if (controlPressed && this.grabbedElement.lastTransformation.type == Transformation.TRANSLATION) {
-            this.grabbedElement.stopTransformation();
-            this.grabbedElement.startTransformation(x, y, Transformation.ROTATION, undoable);
-        } else if (!controlPressed && this.grabbedElement.lastTransformation.type == Transformation.ROTATION) {
-            this.grabbedElement.stopTransformation();
-            this.grabbedElement.startTransformation(x, y, Transformation.TRANSLATION, undoable);
+    _duplicateGrabbedElement() {
+        // deep cloning
+        let copy = this.grabbedElement.shape == Shape.GROUP ? this._reviveElement(JSON.parse(JSON.stringify(this.grabbedElement))) :
+                   new this.grabbedElement.constructor(JSON.parse(JSON.stringify(this.grabbedElement)));
+        if (this.grabbedElement.color)
+            copy.color = this.grabbedElement.color;
+        if (this.grabbedElement.font)
+            copy.font = this.grabbedElement.font;
+        if (this.grabbedElement.image)
+            copy.image = this.grabbedElement.image;
+        this.elements.push(copy);
+        this.grabbedElement = copy;
+        this.grabbedElementIsCopy = true;
+    }
+
+    _startTransformations(startX, startY, controlPressed) {
+        // The whole selection is transformed when one of its elements is grabbed, around the center of the selection.
+        this.transformedElements = !this.grabbedElementIsCopy && this.selectedElements.includes(this.grabbedElement) ? this.selectedElements.slice() : [this.grabbedElement];
+        this.transformedElementsTransformationCounts = this.transformedElements.map(element => element.transformations.length);
+        this.transformationCenter = null;
+        if (this.transformedElements.length > 1) {
+            let [x1, y1, x2, y2] = this.transformedElements.map(element => getElementExtents(element)).reduce(getExtentsUnion, null);
+            this.transformationCenter = [(x1 + x2) / 2, (y1 + y2) / 2];
         }
 
-        if (controlPressed && this.grabbedElement.lastTransformation.type == Transformation.SCALE_PRESERVE) {
-            this.grabbedElement.stopTransformation();
-            this.grabbedElement.startTransformation(x, y, Transformation.STRETCH, undoable);
-        } else if (!controlPressed && this.grabbedElement.lastTransformation.type == Transformation.STRETCH) {
-            this.grabbedElement.stopTransformation();
-            this.grabbedElement.startTransformation(x, y, Transformation.SCALE_PRESERVE, undoable);
-        }
+        let type = this.currentTool == Manipulation.MOVE ? (controlPressed ? Transformation.ROTATION : Transformation.TRANSLATION) :
+                   this.currentTool == Manipulation.RESIZE ? (controlPressed ? Transformation.STRETCH : Transformation.SCALE_PRESERVE) :
+                   (controlPressed ? Transformation.INVERSION : Transformation.REFLECTION);
+        this.transformedElements.forEach(element => element.startTransformation(startX, startY, type, this.transformationCenter));
+        this._prepareSnapping(this.transformedElements);
 
-        if (controlPressed && this.grabbedElement.lastTransformation.type == Transformation.REFLECTION) {
-            this.grabbedElement.transformations.pop();
-            this.grabbedElement.startTransformation(x, y, Transformation.INVERSION, undoable);
-        } else if (!controlPressed && this.grabbedElement.lastTransformation.type == Transformation.INVERSION) {
-            this.grabbedElement.transformations.pop();
-            this.grabbedElement.startTransformation(x, y, Transformation.REFLECTION, undoable);
-        }
+        if (this.currentTool == Manipulation.MIRROR)
+            this._redisplay();
+    }
 
-        this.grabbedElement.updateTransformation(x, y);
+    _updateTransforming(x, y, controlPressed, isSnapping) {
+        let center = this.transformationCenter;
+
+        this.transformedElements.forEach(element => {
+            if (controlPressed && element.lastTransformation.type == Transformation.TRANSLATION) {
+                element.stopTransformation();
+                element.startTransformation(x, y, Transformation.ROTATION, center);
+            } else if (!controlPressed && element.lastTransformation.type == Transformation.ROTATION) {
+                element.stopTransformation();
+                element.startTransformation(x, y, Transformation.TRANSLATION, center);
+            }
+
+            if (controlPressed && element.lastTransformation.type == Transformation.SCALE_PRESERVE) {
+                element.stopTransformation();
+                element.startTransformation(x, y, Transformation.STRETCH, center);
+            } else if (!controlPressed && element.lastTransformation.type == Transformation.STRETCH) {
+                element.stopTransformation();
+                element.startTransformation(x, y, Transformation.SCALE_PRESERVE, center);
+            }
+
+            if (controlPressed && element.lastTransformation.type == Transformation.REFLECTION) {
+                element.transformations.pop();
+                element.startTransformation(x, y, Transformation.INVERSION, center);
+            } else if (!controlPressed && element.lastTransformation.type == Transformation.INVERSION) {
+                element.transformations.pop();
+                element.startTransformation(x, y, Transformation.REFLECTION, center);
+            }
+        });
+
+        // Translations align the transformed elements, rotations are done by angle steps
+        // and the other transformations follow the snapped pointer.
+        let type = this.grabbedElement.lastTransformation.type;
+        if (!isSnapping)
+            this.snapping.guides = [];
+        else if (type == Transformation.TRANSLATION)
+            [x, y] = this._snapTranslation(x, y);
+        else if (type != Transformation.ROTATION)
+            [x, y] = this.snapping.snapPoint(x, y);
+
+        this.transformedElements.forEach(element => {
+            element.updateTransformation(x, y);
+            if (isSnapping && type == Transformation.ROTATION)
+                element.lastTransformation.angle = this.snapping.snapAngle(element.lastTransformation.angle);
+        });
+
+        this._updateSnapGuides();
         this._redisplay();
     }
 
+    // The bounding box of the transformed elements, without the current translation, is aligned on the targets.
+    _snapTranslation(x, y) {
+        let transformation = this.grabbedElement.lastTransformation;
+        let extents = this.transformedElements.map(element => getElementExtents(element)).reduce(getExtentsUnion, null);
+        if (!extents)
+            return [x, y];
+
+        let [x1, y1, x2, y2] = extents;
+        let movingCoordinates = [[x1, (x1 + x2) / 2, x2].map(value => value - transformation.slideX),
+                                 [y1, (y1 + y2) / 2, y2].map(value => value - transformation.slideY)];
+        let [dx, dy] = this.snapping.snapTranslation(movingCoordinates, x - transformation.startX, y - transformation.startY);
+        return [transformation.startX + dx, transformation.startY + dy];
+    }
+
     _stopTransforming() {
         if (this.motionHandler) {
             this.disconnect(this.motionHandler);
@@ -662,100 +1243,458 @@ export const DrawingArea = GObject.registerClass({
             this.disconnect(this.buttonReleasedHandler);
             this.buttonReleasedHandler = null;
         }
+        this._stopSnapping();
+
+        if (this.transformedElements) {
+            this.transformedElements.forEach(element => element.stopTransformation());
+
+            if (this.grabbedElementIsCopy) {
+                this._addElementCommand(this.grabbedElement, DisplayStrings.HistoryCommand.duplicate, this._getToolIcon(this.currentTool));
+            } else {
+                this._addTransformationsCommand(this.transformedElements, this.transformedElementsTransformationCounts,
+                                                DisplayStrings.Tool[this.currentTool], this._getToolIcon(this.currentTool));
+            }
+        } else if (this.shiftClickedElement) {
+            this._toggleSelection(this.shiftClickedElement);
+        } else {
+            this.grabbedElement.stopTransformation();
+        }
 
-        this.grabbedElement.stopTransformation();
+        this.shiftClickedElement = null;
+        this.grabbedElementIsCopy = false;
+        this.transformedElements = null;
+        this.transformationCenter = null;
         this.grabbedElement = null;
         this.grabbedElementLocked = false;
         this._redisplay();
     }
 
-    _startDrawing(stageX, stageY, shiftPressed, clickedDevice) {
-        let [success, startX, startY] = this._transformStagePoint(stageX, stageY);
+    _getToolIcon(tool) {
+        return this._extension.FILES.ICONS[`TOOL_${Tool.getNameOf(tool)}`] || null;
+    }
 
-        if (!success)
+    // The element has just been added to the list.
+    // The label and the icon are those of the drawing tool by default.
+    _addElementCommand(element, label, icon) {
+        let index = this.elements.indexOf(element);
+        let tool = element.shape == Shape.NONE && element.highlighter ? Tool.HIGHLIGHTER : element.shape;
+        this.history.add({
+            label: label ?? DisplayStrings.Tool[tool],
+            icon: icon ?? this._getToolIcon(tool),
+            undo: () => this.elements.splice(index, 1),
+            redo: () => this.elements.splice(index, 0, element)
+        });
+    }
+
+    // The elements have just received transformations, including smoothing, recognition and style changes.
+    // startCounts are the numbers of transformations of the elements before.
+    // key is given to merge successive commands of the same kind on the same elements.
+    _addTransformationsCommand(elements, startCounts, label, icon, key) {
+        let transformations = elements.map((element, index) => element.transformations.slice(startCounts[index]));
+        if (transformations.every(elementTransformations => !elementTransformations.length))
             return;
 
-        this.buttonReleasedHandler = this.connect('button-release-event', (actor, event) => {
-            this._stopDrawing();
+        this.history.add({
+            key: key && `${key}:${elements.map(element => this.elements.indexOf(element))}`,
+            label, icon,
+            undo: () => elements.forEach((element, index) => {
+                element.transformations.splice(startCounts[index]);
+                transformations[index].slice().reverse().forEach(transformation => transformation.undo?.());
+            }),
+            redo: () => elements.forEach((element, index) => {
+                transformations[index].forEach(transformation => transformation.redo?.());
+                element.transformations.push(...transformations[index]);
+            })
         });
+    }
 
-        if (this.currentTool == Shape.TEXT) {
-            this.currentElement = new Elements.DrawingElement({
-                shape: this.currentTool,
-                color: this.currentColor,
-                eraser: shiftPressed,
-                font: this.currentFont.copy(),
-                // Translators: initial content of the text area
-                text: pgettext("text-area-content", "Text"),
-                textAlignment: this.currentTextAlignment,
-                points: []
-            });
-        } else if (this.currentTool == Shape.IMAGE) {
-            this.currentElement = new Elements.DrawingElement({
-                shape: this.currentTool,
-                color: this.currentColor,
-                colored: shiftPressed,
-                image: this.currentImage,
-                points: []
-            });
-        } else {
-            this.currentElement = new Elements.DrawingElement({
-                shape: this.currentTool,
-                color: this.currentColor,
-                eraser: shiftPressed,
-                fill: this.fill,
-                fillRule: this.currentFillRule,
-                line: { lineWidth: this.currentLineWidth, lineJoin: this.currentLineJoin, lineCap: this.currentLineCap },
-                points: []
-            });
-        }
+    // Push a new transformation to each element, as an undoable command.
+    _addTransformations(elements, getTransformation, label, icon, key) {
+        let startCounts = elements.map(element => element.transformations.length);
+        elements.forEach(element => element.transformations.push(getTransformation(element)));
+        this._addTransformationsCommand(elements, startCounts, label, icon, key);
+    }
 
-        this.currentElement.startDrawing(startX, startY);
+    // The extents of the selected or grabbed elements, or null.
+    get targetExtents() {
+        return this._targetElements.map(element => getElementExtents(element)).reduce(getExtentsUnion, null);
+    }
 
-        if (this.currentTool == Shape.POLYGON || this.currentTool == Shape.POLYLINE) {
-            let icon = this._extension.FILES.ICONS[this.currentTool == Shape.POLYGON ? 'TOOL_POLYGON' : 'TOOL_POLYLINE'];
-            // Translators: %s is a key label
-            this.emit('show-osd', icon, _("Press <i>%s</i> to mark vertices")
-                .format(Gtk.accelerator_get_label(Clutter.KEY_Return, 0)), "", -1, true);
-        }
-        // Wayland supports two cursors so its important to disconnect motionhandler to avoid broken two cursors drawing
-        if (this.motionHandler) {
-            this.disconnect(this.motionHandler);
-            this.motionHandler = null;
-        }
+    // The numeric transformations of the menu, around the center of the selected or grabbed elements.
+    moveElementsTo(x, y) {
+        let extents = this.targetExtents;
+        if (!extents)
+            return;
 
-        this.motionHandler = this.connect('motion-event', (actor, event) => {
-            // To avoid painting due to the wrong device (2 cursors wayland support)
-            if (clickedDevice != event.get_device())
-                return;
+        this._addTransformations(this._targetElements, () => ({ type: Transformation.TRANSLATION, slideX: x - extents[0], slideY: y - extents[1] }),
+                                 DisplayStrings.Tool[Manipulation.MOVE], this._getToolIcon(Manipulation.MOVE));
+        this._redisplay();
+    }
 
-            if (this.spaceKeyPressed)
-                return;
+    // The ratio is preserved.
+    resizeElementsTo(width) {
+        let extents = this.targetExtents;
+        if (!extents || extents[2] == extents[0] || width <= 0)
+            return;
 
-            let coords = event.get_coords();
-            let [s, x, y] = this._transformStagePoint(coords[0], coords[1]);
-            if (!s)
-                return;
+        let scale = width / (extents[2] - extents[0]);
+        let center = [(extents[0] + extents[2]) / 2, (extents[1] + extents[3]) / 2];
+        this._addTransformations(this._targetElements, () => ({ type: Transformation.SCALE_PRESERVE, scaleX: scale, scaleY: scale, angle: 0, center }),
+                                 DisplayStrings.Tool[Manipulation.RESIZE], this._getToolIcon(Manipulation.RESIZE));
+        this._redisplay();
+    }
 
-            let controlPressed = event.has_control_modifier();
-            this._updateDrawing(x, y, controlPressed);
+    // The width is kept, the elements are stretched vertically.
+    stretchElementsToHeight(height) {
+        let extents = this.targetExtents;
+        if (!extents || extents[3] == extents[1] || height <= 0)
+            return;
 
-        });
+        let scale = height / (extents[3] - extents[1]);
+        let center = [(extents[0] + extents[2]) / 2, (extents[1] + extents[3]) / 2];
+        this._addTransformations(this._targetElements, () => ({ type: Transformation.STRETCH, scaleX: 1, scaleY: scale, angle: 0, center }),
+                                 DisplayStrings.Tool[Manipulation.RESIZE], this._getToolIcon(Manipulation.RESIZE));
+        this._redisplay();
     }
 
-    _updateDrawing(x, y, controlPressed) {
-        if (!this.currentElement)
+    // The angle is relative to the current orientation, in degrees, clockwise.
+    rotateElements(angle) {
+        let extents = this.targetExtents;
+        if (!extents || !angle)
             return;
 
-        this.currentElement.updateDrawing(x, y, controlPressed);
+        let center = [(extents[0] + extents[2]) / 2, (extents[1] + extents[3]) / 2];
+        this._addTransformations(this._targetElements, () => ({ type: Transformation.ROTATION, angle: angle * Math.PI / 180, center }),
+                                 DisplayStrings.HistoryCommand.rotate, this._getToolIcon(Manipulation.MOVE));
+        this._redisplay();
+    }
 
-        if (this.currentElement.eraser)
+    _toggleSelection(element) {
+        let index = this.selectedElements.indexOf(element);
+        if (index == -1)
+            this.selectedElements.push(element);
+        else
+            this.selectedElements.splice(index, 1);
+
+        this._redisplay();
+    }
+
+    // Dragging on empty space selects the elements that are entirely inside the rectangle.
+    _startMarquee(stageX, stageY, additive) {
+        let [success, startX, startY] = this._transformStagePoint(stageX, stageY);
+        if (!success)
+            return;
+
+        this.marquee = [startX, startY, startX, startY];
+
+        this.marqueeMotionHandler = this.connect('motion-event', (actor, event) => {
+            let coords = event.get_coords();
+            let [s, x, y] = this._transformStagePoint(coords[0], coords[1]);
+            if (!s)
+                return;
+
+            [this.marquee[2], this.marquee[3]] = [x, y];
+            this.foreLayer.queue_repaint();
+        });
+
+        this.marqueeReleasedHandler = this.connect('button-release-event', () => {
+            let [x1, y1, x2, y2] = this.marquee;
+            [x1, x2] = [Math.min(x1, x2), Math.max(x1, x2)];
+            [y1, y2] = [Math.min(y1, y2), Math.max(y1, y2)];
+            this._stopMarquee();
+
+            if (!additive)
+                this.selectedElements = [];
+
+            this.elements.forEach(element => {
+                let extents = getElementExtents(element);
+                if (extents && extents[0] >= x1 && extents[1] >= y1 && extents[2] <= x2 && extents[3] <= y2 &&
+                    !this.selectedElements.includes(element))
+                    this.selectedElements.push(element);
+            });
+
+            this._redisplay();
+        });
+    }
+
+    _stopMarquee() {
+        if (this.marqueeMotionHandler) {
+            this.disconnect(this.marqueeMotionHandler);
+            this.marqueeMotionHandler = null;
+        }
+        if (this.marqueeReleasedHandler) {
+            this.disconnect(this.marqueeReleasedHandler);
+            this.marqueeReleasedHandler = null;
+        }
+        this.marquee = null;
+        this.foreLayer.queue_repaint();
+    }
+
+    // Return the ratio between the width of a free drawing point and the line width,
+    // or null if the device does not report the pressure.
+    // clutter_event_get_axes has no array length annotation, so the shape of what the bindings return is not guaranteed.
+    // Anything else than numbers indexed by Clutter.InputAxis, or an error, leaves the line width constant.
+    _getEventAxes(event) {
+        try {
+            let axes = event.get_axes();
+            // [values, n_axes] if the out parameter is returned along with the array
+            if (Array.isArray(axes) && (Array.isArray(axes[0]) || ArrayBuffer.isView(axes[0])))
+                axes = axes[0];
+            return Array.isArray(axes) || ArrayBuffer.isView(axes) ? axes : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _getPressureWidthRatio(event) {
+        let tool = event.get_device_tool();
+        if (!tool || !(tool.get_axes() & Clutter.InputAxisFlags.PRESSURE))
+            return null;
+
+        let axes = this._getEventAxes(event);
+        let pressure = axes?.[Clutter.InputAxis.PRESSURE];
+        if (typeof pressure != 'number' || !Number.isFinite(pressure))
+            return null;
+
+        let ratio = MIN_PRESSURE_WIDTH_RATIO + (1 - MIN_PRESSURE_WIDTH_RATIO) * Math.min(Math.max(0, pressure), 1);
+        let [xTilt, yTilt] = [axes[Clutter.InputAxis.XTILT], axes[Clutter.InputAxis.YTILT]];
+        if (tool.get_axes() & (Clutter.InputAxisFlags.XTILT | Clutter.InputAxisFlags.YTILT) && Number.isFinite(xTilt ?? 0) && Number.isFinite(yTilt ?? 0)) {
+            let tilt = Math.min(Math.hypot(xTilt || 0, yTilt || 0), MAX_PEN_TILT);
+            ratio *= 1 + (PEN_TILT_WIDTH_FACTOR - 1) * tilt / MAX_PEN_TILT;
+        }
+
+        return ratio;
+    }
+
+    _startDrawing(stageX, stageY, shiftPressed, clickedDevice, widthRatio, isSnapping) {
+        let [success, startX, startY] = this._transformStagePoint(stageX, stageY);
+
+        if (!success)
+            return;
+
+        this._prepareSnapping([]);
+
+        this.buttonReleasedHandler = this.connect('button-release-event', (actor, event) => {
+            this._stopDrawing();
+        });
+
+        if (this.currentTool == Shape.TEXT) {
+            this.currentElement = new Elements.DrawingElement({
+                shape: this.currentTool,
+                color: this.currentColor,
+                eraser: shiftPressed,
+                font: this.currentFont.copy(),
+                // Translators: initial content of the text area
+                text: pgettext("text-area-content", "Text"),
+                textAlignment: this.currentTextAlignment,
+                points: []
+            });
+        } else if (this.currentTool == Shape.IMAGE) {
+            this.currentElement = new Elements.DrawingElement({
+                shape: this.currentTool,
+                color: this.currentColor,
+                colored: shiftPressed,
+                image: this.currentImage,
+                points: []
+            });
+        } else if (this.currentTool == Brush.HIGHLIGHTER) {
+            this.currentElement = new Elements.DrawingElement({
+                shape: Shape.NONE,
+                color: this.currentColor,
+                highlighter: true,
+                opacity: this.highlighterOpacity,
+                line: { lineWidth: this.currentLineWidth * HIGHLIGHTER_LINE_WIDTH_FACTOR, lineJoin: Cairo.LineJoin.ROUND, lineCap: Cairo.LineCap.BUTT },
+                points: []
+            });
+        } else if (this.currentTool == Brush.LASER) {
+            this.currentElement = new Elements.DrawingElement({
+                shape: Shape.NONE,
+                color: this.laserColor,
+                laser: true,
+                line: { lineWidth: this.currentLineWidth, lineJoin: Cairo.LineJoin.ROUND, lineCap: Cairo.LineCap.ROUND },
+                points: []
+            });
+        } else if (this.currentTool == Shape.ARROW) {
+            this.currentElement = new Elements.DrawingElement({
+                shape: this.currentTool,
+                color: this.currentColor,
+                eraser: shiftPressed,
+                line: { lineWidth: this.currentLineWidth, lineJoin: this.currentLineJoin, lineCap: this.currentLineCap },
+                dash: this._getDash(this.currentLineWidth),
+                arrowHeads: this.currentArrowHeads,
+                arrowHeadStyle: this.currentArrowHeadStyle,
+                points: []
+            });
+        } else if (this.currentTool == Shape.STAMP) {
+            this.currentElement = new Elements.DrawingElement({
+                shape: this.currentTool,
+                color: this.currentColor,
+                stampStyle: this.currentStampStyle,
+                number: this._getNextStampNumber(),
+                points: []
+            });
+        } else if (this.currentTool == Shape.REDACTION) {
+            this.currentElement = new Elements.DrawingElement({
+                shape: this.currentTool,
+                redactionMode: this.currentRedactionMode,
+                points: []
+            });
+        } else {
+            this.currentElement = new Elements.DrawingElement({
+                shape: this.currentTool,
+                color: this.currentColor,
+                eraser: shiftPressed,
+                fill: this.fill,
+                fillRule: this.currentFillRule,
+                line: { lineWidth: this.currentLineWidth, lineJoin: this.currentLineJoin, lineCap: this.currentLineCap },
+                dash: this._getDash(this.currentLineWidth),
+                points: []
+            });
+        }
+
+        if (isSnapping && this.currentElement.shape != Shape.NONE) {
+            [startX, startY] = this.snapping.snapPoint(startX, startY);
+            this._updateSnapGuides();
+        }
+
+        this.currentElement.startDrawing(startX, startY, this.currentTool == Shape.NONE ? widthRatio : null);
+
+        if (this.currentTool == Shape.POLYGON || this.currentTool == Shape.POLYLINE) {
+            let icon = this._extension.FILES.ICONS[this.currentTool == Shape.POLYGON ? 'TOOL_POLYGON' : 'TOOL_POLYLINE'];
+            // Translators: %s is a key label
+            this.emit('show-osd', icon, _("Press <i>%s</i> to mark vertices")
+                .format(Gtk.accelerator_get_label(Clutter.KEY_Return, 0)), "", -1, true);
+        }
+        // Wayland supports two cursors so its important to disconnect motionhandler to avoid broken two cursors drawing
+        if (this.motionHandler) {
+            this.disconnect(this.motionHandler);
+            this.motionHandler = null;
+        }
+
+        this.motionHandler = this.connect('motion-event', (actor, event) => {
+            // To avoid painting due to the wrong device (2 cursors wayland support)
+            if (clickedDevice != event.get_device())
+                return;
+
+            if (this.spaceKeyPressed)
+                return;
+
+            let coords = event.get_coords();
+            let [s, x, y] = this._transformStagePoint(coords[0], coords[1]);
+            if (!s)
+                return;
+
+            let controlPressed = event.has_control_modifier();
+            this._updateDrawing(x, y, controlPressed, this.currentTool == Shape.NONE ? this._getPressureWidthRatio(event) : null,
+                                this._getIsSnapping(event));
+
+        });
+    }
+
+    // The eraser tools change the list of elements along the pointer path,
+    // which is added to the history at once when the button is released.
+    _startErasing(stageX, stageY, clickedDevice) {
+        let [success, x, y] = this._transformStagePoint(stageX, stageY);
+        if (!success)
+            return;
+
+        this.elementsBeforeErasing = this.elements;
+        this.elements = this.elements.slice();
+        this.eraserPoint = [x, y];
+        this._eraseAt(x, y);
+
+        this.buttonReleasedHandler = this.connect('button-release-event', () => {
+            this._stopErasing();
+        });
+
+        this.motionHandler = this.connect('motion-event', (actor, event) => {
+            if (clickedDevice != event.get_device() || this.spaceKeyPressed)
+                return;
+
+            let coords = event.get_coords();
+            let [s, x, y] = this._transformStagePoint(coords[0], coords[1]);
+            if (s)
+                this._eraseAt(x, y);
+        });
+    }
+
+    get _eraserRadius() {
+        return Math.max(this.currentLineWidth / 2, ERASER_MIN_RADIUS);
+    }
+
+    // Erase from the previous pointer position, with steps smaller than the eraser so that fast moves do not miss anything.
+    // The object eraser deletes the touched elements, the stroke eraser cuts the free drawings and the polylines.
+    _eraseAt(x, y) {
+        let radius = this._eraserRadius;
+        let [lastX, lastY] = this.eraserPoint;
+        let steps = Math.max(Math.ceil(Math.hypot(x - lastX, y - lastY) / radius), 1);
+
+        for (let i = 1; i <= steps; i++) {
+            let [pointX, pointY] = [lastX + (x - lastX) * i / steps, lastY + (y - lastY) * i / steps];
+            this.elements = this.elements.flatMap(element => {
+                if (this.currentTool == Eraser.OBJECT_ERASER)
+                    return getElementContainsPoint(element, pointX, pointY) ? [] : [element];
+                else if (element.shape == Shape.NONE || element.shape == Shape.POLYLINE)
+                    return element.erase(pointX, pointY, radius) ?? [element];
+                else
+                    return [element];
+            });
+        }
+
+        this.eraserPoint = [x, y];
+        this._redisplay();
+    }
+
+    _stopErasing() {
+        if (this.motionHandler) {
+            this.disconnect(this.motionHandler);
+            this.motionHandler = null;
+        }
+        if (this.buttonReleasedHandler) {
+            this.disconnect(this.buttonReleasedHandler);
+            this.buttonReleasedHandler = null;
+        }
+
+        let newElements = this.elements;
+        this.elements = this.elementsBeforeErasing;
+        if (newElements.length != this.elements.length || newElements.some((element, index) => element != this.elements[index]))
+            this._replaceElements(newElements, DisplayStrings.Tool[this.currentTool], this._getToolIcon(this.currentTool));
+
+        this.elementsBeforeErasing = null;
+        this.eraserPoint = null;
+        this._redisplay();
+    }
+
+    _updateDrawing(x, y, controlPressed, widthRatio, isSnapping) {
+        if (!this.currentElement)
+            return;
+
+        if (isSnapping && this.currentElement.shape != Shape.NONE)
+            [x, y] = this._snapDrawingPoint(x, y);
+        else
+            this.snapping.guides = [];
+        this._updateSnapGuides();
+
+        this.currentElement.updateDrawing(x, y, controlPressed, widthRatio);
+
+        if (this.currentElement.eraser)
             this._redisplay();
         else
             this.foreLayer.queue_repaint();
         this.updatePointerCursor(controlPressed);
     }
 
+    // Free drawings are never snapped. The segments of lines and polylines are constrained to the angle steps
+    // when their end is not snapped to something else.
+    _snapDrawingPoint(x, y) {
+        let [shape, points] = [this.currentElement.shape, this.currentElement.points];
+        let point = this.snapping.snapPoint(x, y);
+        if (!this.snapping.guides.length && points.length >= 2 &&
+            (shape == Shape.LINE || shape == Shape.ARROW || shape == Shape.POLYGON || shape == Shape.POLYLINE))
+            point = this.snapping.snapDirection(points[shape == Shape.POLYGON || shape == Shape.POLYLINE ? points.length - 2 : 0], x, y);
+        return point;
+    }
+
     _stopDrawing() {
         if (this.motionHandler) {
             this.disconnect(this.motionHandler);
@@ -765,6 +1704,7 @@ export const DrawingArea = GObject.registerClass({
             this.disconnect(this.buttonReleasedHandler);
             this.buttonReleasedHandler = null;
         }
+        this._stopSnapping();
 
         // skip when a polygon has not at least 3 points
         if (this.currentElement && this.currentElement.shape == Shape.POLYGON && this.currentElement.points.length < 3)
@@ -779,7 +1719,17 @@ export const DrawingArea = GObject.registerClass({
                 return;
             }
 
-            this.elements.push(this.currentElement);
+            if (this.currentElement.laser) {
+                this._addLaserStroke(this.currentElement);
+            } else {
+                this.elements.push(this.currentElement);
+                this._addElementCommand(this.currentElement);
+            }
+
+            if (this.currentElement.shape == Shape.REDACTION && this.currentElement.redactionMode != RedactionMode.SOLID)
+                this._captureRedaction(this.currentElement);
+            else if (this.currentElement.shape == Shape.NONE && !this.currentElement.laser && !this.currentElement.highlighter && this.shapeRecognitionAuto)
+                this._recognizeElement(this.currentElement);
         }
 
         this.currentElement = null;
@@ -787,6 +1737,67 @@ export const DrawingArea = GObject.registerClass({
         this.updatePointerCursor();
     }
 
+    // Only a downscaled capture is kept in the element, so the hidden content cannot be recovered from a saved drawing.
+    _captureRedaction(element) {
+        let [areaX, areaY] = this.get_transformed_position();
+        let [x, y, width, height] = element.rectangle.map(Math.round);
+        let blockSize = element.redactionMode == RedactionMode.PIXELATE ? REDACTION_PIXEL_SIZE : REDACTION_BLUR_SIZE;
+        let stream = Gio.MemoryOutputStream.new_resizable();
+        let screenshot = new Shell.Screenshot();
+
+        // The whole area is hidden until the capture is done, so that the drawing is not baked into the redaction.
+        let wasVisible = this.visible;
+        this.hide();
+
+        screenshot.screenshot_area(areaX + x, areaY + y, Math.max(width, 1), Math.max(height, 1), stream).then(() => {
+            stream.close(null);
+            let inputStream = Gio.MemoryInputStream.new_from_bytes(stream.steal_as_bytes());
+            let pixbuf = GdkPixbuf.Pixbuf.new_from_stream(inputStream, null);
+            inputStream.close(null);
+
+            pixbuf = pixbuf.scale_simple(Math.max(Math.round(width / blockSize), 1), Math.max(Math.round(height / blockSize), 1),
+                                         GdkPixbuf.InterpType.BILINEAR);
+            let [, buffer] = pixbuf.save_to_bufferv('png', [], []);
+            element.image = new Image({ displayName: 'redaction', contentType: 'image/png', base64: GLib.base64_encode(buffer) });
+        }).catch(e => {
+            log(`${this._extension.metadata.uuid}: redaction capture failed: ${e.message}`);
+            element.redactionMode = RedactionMode.SOLID;
+        }).finally(() => {
+            if (wasVisible)
+                this.show();
+            this._redisplay();
+        });
+    }
+
+    // Laser strokes are never pushed into this.elements, so they are neither saved nor exported.
+    _addLaserStroke(element) {
+        element.fadeStartTime = GLib.get_monotonic_time();
+        this.laserStrokes.push(element);
+
+        if (this.laserTimeoutId)
+            return;
+
+        this.laserTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, LASER_FRAME_TIME, () => {
+            let now = GLib.get_monotonic_time();
+            this.laserStrokes = this.laserStrokes.filter(stroke => now - stroke.fadeStartTime < this.laserFadeDuration * 1000);
+            this.foreLayer.queue_repaint();
+
+            if (this.laserStrokes.length)
+                return GLib.SOURCE_CONTINUE;
+
+            this.laserTimeoutId = null;
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _stopLaserStrokes() {
+        if (this.laserTimeoutId) {
+            GLib.source_remove(this.laserTimeoutId);
+            this.laserTimeoutId = null;
+        }
+        this.laserStrokes = [];
+    }
+
     _startWriting() {
         let [stageX, stageY] = this.get_transformed_position();
         let [x, y] = [this.currentElement.x, this.currentElement.y];
@@ -850,8 +1861,10 @@ export const DrawingArea = GObject.registerClass({
     }
 
     _stopWriting() {
-        if (this.currentElement.text.length > 0)
+        if (this.currentElement.text.length > 0) {
             this.elements.push(this.currentElement);
+            this._addElementCommand(this.currentElement);
+        }
 
         this.currentElement = null;
         this._stopTextCursorTimeout();
@@ -908,6 +1921,12 @@ export const DrawingArea = GObject.registerClass({
     // A priori there is nothing to stop, except transformations, if there is no current element.
     // 'force' argument is passed when leaving drawing mode to ensure all is clean, as a workaround for possible bugs.
     _stopAll(force) {
+        if (this.marquee)
+            this._stopMarquee();
+
+        if (this.eraserPoint)
+            this._stopErasing();
+
         if (this.grabbedElement) {
             this._stopTransforming();
             this.grabbedElement = null;
@@ -925,55 +1944,277 @@ export const DrawingArea = GObject.registerClass({
     }
 
     erase() {
-        this.deleteLastElement();
-        this.elements = [];
-        this.undoneElements = [];
+        this._stopAll();
+        if (this.elements.length)
+            this._replaceElements([], DisplayStrings.HistoryCommand.erase, this._extension.FILES.ICONS.ERASE_ALL);
         this._redisplay();
     }
 
     deleteLastElement() {
         this._stopAll();
-        this.elements.pop();
+        if (!this.elements.length)
+            return;
 
-        if (this.elements.length)
-            this.elements[this.elements.length - 1].resetUndoneTransformations();
+        let element = this.elements.pop();
+        let index = this.elements.length;
+        this.history.add({
+            label: DisplayStrings.HistoryCommand.delete,
+            icon: this._extension.FILES.ICONS.ERASE,
+            undo: () => this.elements.splice(index, 0, element),
+            redo: () => this.elements.splice(index, 1)
+        });
 
         this._redisplay();
     }
 
     undo() {
-        if (!this.elements.length)
+        this._stopAll();
+        if (this.history.undo())
+            this._redisplay();
+    }
+
+    redo() {
+        this._stopAll();
+        if (this.history.redo())
+            this._redisplay();
+    }
+
+    jumpToCommand(command) {
+        this._stopAll();
+        if (this.history.jumpTo(command))
+            this._redisplay();
+    }
+
+    // The selected elements, or the grabbed one, in painting order.
+    get _targetElements() {
+        if (this.selectedElements.length)
+            return this.elements.filter(element => this.selectedElements.includes(element));
+
+        return this.grabbedElement ? [this.grabbedElement] : [];
+    }
+
+    // Replace the list of elements, as an undoable command.
+    _replaceElements(newElements, label, icon, onUndo, onRedo) {
+        let oldElements = this.elements;
+        this.elements = newElements.slice();
+        this.history.add({
+            label, icon,
+            undo: () => {
+                this.elements = oldElements.slice();
+                onUndo?.();
+            },
+            redo: () => {
+                this.elements = newElements.slice();
+                onRedo?.();
+            }
+        });
+    }
+
+    // The shapes of the current image, when it is a SVG file, are added on top of the drawing as editable elements.
+    importSvgImage() {
+        this._stopAll();
+
+        if (this.currentImage?.contentType != 'image/svg+xml') {
+            // Translators: It is displayed in an OSD notification when trying to import an image that is not a SVG file.
+            this.emit('show-osd', null, pgettext("osd-notification", "Select a SVG image to import"), "", -1, false);
             return;
+        }
 
-        let success = this.elements[this.elements.length - 1].undoTransformation();
-        if (!success) {
-            this.undoneElements.push(this.elements.pop());
-            if (this.elements.length)
-                this.elements[this.elements.length - 1].resetUndoneTransformations();
+        this._importSvgContents(this.currentImage.bytes.get_data());
+    }
+
+    // Returns whether some elements have been added to the drawing.
+    _importSvgContents(contents) {
+        let elements = [];
+        try {
+            elements = SvgParser.parseContents(contents).map(object => this._reviveElement(object));
+        } catch (e) {
+            log(`${this._extension.metadata.uuid}: SVG import failed: ${e.message}`);
+        }
+
+        if (!elements.length) {
+            // Translators: It is displayed in an OSD notification when a SVG file contains no supported shape.
+            this.emit('show-osd', null, pgettext("osd-notification", "Nothing to import"), "", -1, false);
+            return false;
         }
 
+        this._replaceElements(this.elements.concat(elements), DisplayStrings.HistoryCommand.importSvg, this._extension.FILES.ICONS.OPEN);
+        this.selectedElements = elements;
         this._redisplay();
+        return true;
     }
 
-    redo() {
-        let success = false;
+    // Elements are copied as JSON, so that the copies are independent of the originals and can be pasted in another area.
+    copyElements() {
+        let elements = this._targetElements;
+        this._stopAll();
+        return elements.length ? JSON.stringify(elements) : null;
+    }
 
-        if (this.elements.length)
-            success = this.elements[this.elements.length - 1].redoTransformation();
+    cutElements() {
+        let elements = this._targetElements;
+        let contents = this.copyElements();
+        if (!contents)
+            return null;
+
+        this._replaceElements(this.elements.filter(element => !elements.includes(element)),
+                              DisplayStrings.HistoryCommand.cut, this._extension.FILES.ICONS.CUT);
+        this.selectedElements = [];
+        this._redisplay();
+        return contents;
+    }
+
+    // The pasted elements are centered on the pointer, or on the area when the pointer is outside of it.
+    pasteElements(contents) {
+        this._stopAll();
+
+        let elements = JSON.parse(contents).map(object => this._reviveElement(object));
+        let extents = elements.map(element => getElementExtents(element)).reduce(getExtentsUnion, null);
+        if (!extents)
+            return;
+
+        let [pointerX, pointerY] = global.get_pointer();
+        let [containerX, containerY] = this.layerContainer.get_transformed_position();
+        let [x, y] = [pointerX - containerX, pointerY - containerY];
+        if (x < 0 || y < 0 || x > this.layerContainer.width || y > this.layerContainer.height)
+            [x, y] = [this.layerContainer.width / 2, this.layerContainer.height / 2];
+
+        let [slideX, slideY] = [x - (extents[0] + extents[2]) / 2, y - (extents[1] + extents[3]) / 2];
+        elements.forEach(element => element.transformations.push({ type: Transformation.TRANSLATION, slideX, slideY }));
+
+        this._replaceElements(this.elements.concat(elements), DisplayStrings.HistoryCommand.paste, this._extension.FILES.ICONS.PASTE);
+        this.selectedElements = elements;
+        this._redisplay();
+    }
+
+    groupElements() {
+        let children = this._targetElements;
+        if (children.length < 2) {
+            // Translators: It is displayed in an OSD notification when trying to group less than two elements.
+            this.emit('show-osd', null, pgettext("osd-notification", "Select several elements to group"), "", -1, false);
+            return;
+        }
 
-        if (!success && this.undoneElements.length > 0)
-            this.elements.push(this.undoneElements.pop());
+        this._stopAll();
+
+        // The group takes the place of the topmost child.
+        let group = new Elements.DrawingElement({ shape: Shape.GROUP, children, transformations: [] });
+        let lastChild = children[children.length - 1];
+        this._replaceElements(this.elements.filter(element => element == lastChild || !children.includes(element))
+                                           .map(element => element == lastChild ? group : element),
+                              DisplayStrings.HistoryCommand.group, this._extension.FILES.ICONS.GROUP);
+        this.selectedElements = [group];
+        this._redisplay();
+    }
+
+    // The transformations of the groups are passed on to their children.
+    ungroupElements() {
+        let groups = this._targetElements.filter(element => element.shape == Shape.GROUP);
+        if (!groups.length)
+            return;
+
+        this._stopAll();
+        let oldTransformations = new Map();
+        let newTransformations = new Map();
+        groups.forEach(group => group.children.forEach(child => {
+            oldTransformations.set(child, child.transformations);
+            // Style changes have already been passed on.
+            let groupTransformations = group.transformations.filter(transformation => transformation.type != Transformation.STYLE);
+            newTransformations.set(child, child.transformations.concat(groupTransformations.map(transformation => {
+                let copy = Object.assign({}, transformation);
+                // The group center is not the child center.
+                if (transformation.type == Transformation.ROTATION || transformation.type == Transformation.SCALE_PRESERVE ||
+                    transformation.type == Transformation.STRETCH)
+                    copy.center = group._getTransformedCenter(transformation);
+                delete copy.elementTransformedCenter;
+                return copy;
+            })));
+        }));
+
+        let setTransformations = transformations => transformations.forEach((value, child) => child.transformations = value);
 
+        setTransformations(newTransformations);
+        this._replaceElements(this.elements.flatMap(element => groups.includes(element) ? element.children : [element]),
+                              DisplayStrings.HistoryCommand.ungroup, this._extension.FILES.ICONS.GROUP,
+                              () => setTransformations(oldTransformations), () => setTransformations(newTransformations));
+        this.selectedElements = groups.flatMap(group => group.children);
         this._redisplay();
     }
 
+    // Change the painting order of the selected or grabbed elements.
+    // getNewElements receives the elements to move and returns the reordered list.
+    _reorderElements(getNewElements, label, icon) {
+        let targets = this._targetElements;
+        if (!targets.length)
+            return;
+
+        let newElements = getNewElements(targets, this.elements.slice());
+        if (newElements.every((element, index) => element == this.elements[index]))
+            return;
+
+        this._replaceElements(newElements, label, icon);
+        this._redisplay();
+    }
+
+    raiseElements() {
+        this._reorderElements((targets, elements) => {
+            for (let i = elements.length - 2; i >= 0; i--) {
+                if (targets.includes(elements[i]) && !targets.includes(elements[i + 1]))
+                    [elements[i], elements[i + 1]] = [elements[i + 1], elements[i]];
+            }
+            return elements;
+        }, DisplayStrings.HistoryCommand.raise, this._extension.FILES.ICONS.RAISE);
+    }
+
+    lowerElements() {
+        this._reorderElements((targets, elements) => {
+            for (let i = 1; i < elements.length; i++) {
+                if (targets.includes(elements[i]) && !targets.includes(elements[i - 1]))
+                    [elements[i], elements[i - 1]] = [elements[i - 1], elements[i]];
+            }
+            return elements;
+        }, DisplayStrings.HistoryCommand.lower, this._extension.FILES.ICONS.LOWER);
+    }
+
+    raiseElementsToTop() {
+        this._reorderElements((targets, elements) => elements.filter(element => !targets.includes(element)).concat(targets),
+                              DisplayStrings.HistoryCommand.raiseToTop, this._extension.FILES.ICONS.RAISE_TO_TOP);
+    }
+
+    lowerElementsToBottom() {
+        this._reorderElements((targets, elements) => targets.concat(elements.filter(element => !targets.includes(element))),
+                              DisplayStrings.HistoryCommand.lowerToBottom, this._extension.FILES.ICONS.LOWER_TO_BOTTOM);
+    }
+
     smoothLastElement() {
-        if (this.elements.length > 0 && this.elements[this.elements.length - 1].shape == Shape.NONE) {
-            this.elements[this.elements.length - 1].smoothAll();
+        let element = this.elements[this.elements.length - 1];
+        if (element && element.shape == Shape.NONE) {
+            let count = element.transformations.length;
+            element.smoothAll();
+            this._addTransformationsCommand([element], [count], DisplayStrings.HistoryCommand.smooth, this._extension.FILES.ICONS.SMOOTH);
             this._redisplay();
         }
     }
 
+    _recognizeElement(element) {
+        let count = element.transformations.length;
+        if (!element.recognize())
+            return false;
+
+        this._addTransformationsCommand([element], [count], DisplayStrings.HistoryCommand.recognize, this._extension.FILES.ICONS.RECOGNIZE);
+        return true;
+    }
+
+    recognizeLastElement() {
+        if (this.elements.length > 0 && this.elements[this.elements.length - 1].shape == Shape.NONE) {
+            if (this._recognizeElement(this.elements[this.elements.length - 1]))
+                this._redisplay();
+            else
+                // Translators: It is displayed in an OSD notification when a free drawing does not look like a line, an ellipse, a rectangle or a polygon.
+                this.emit('show-osd', this._extension.FILES.ICONS.RECOGNIZE, pgettext("osd-notification", "Shape not recognized"), "", -1, false);
+        }
+    }
+
     toggleBackground() {
         this.hasBackground = !this.hasBackground;
         let backgroundColor = this.hasBackground ? this.areaBackgroundColor : StaticColor.TRANSPARENT;
@@ -991,23 +2232,201 @@ export const DrawingArea = GObject.registerClass({
     }
 
     get hasGrid() {
-        return this.gridLayer.visible;
+        return this._hasGrid;
     }
 
     toggleGrid() {
-        // The grid layer is repainted when the visibility changes.
-        if (this.gridLayer.ease) {
-            this.gridLayer.remove_all_transitions();
-            let visible = !this.gridLayer.visible;
-            this.gridLayer.visible = true;
-            this.gridLayer.ease({
+        this._hasGrid = !this._hasGrid;
+        this._toggleLayer(this.gridLayer);
+    }
+
+    toggleSnapping() {
+        this.hasSnapping = !this.hasSnapping;
+        // Translators: It is displayed in an OSD notification when toggling the snapping.
+        let label = this.hasSnapping ? pgettext("osd-notification", "Snapping on") : pgettext("osd-notification", "Snapping off");
+        this.emit('show-osd', null, label, "", -1, false);
+    }
+
+    // Snap only when the snapping is on and Alt is not held.
+    _getIsSnapping(event) {
+        return this.hasSnapping && !(event.get_state() & Clutter.ModifierType.MOD1_MASK);
+    }
+
+    _prepareSnapping(movingElements) {
+        if (!this.hasSnapping)
+            return;
+
+        let grid = this.hasGrid ? { spacing: this.gridLineSpacing, origin: [this.monitor.width / 2, this.monitor.height / 2] } : null;
+        this.snapping.setTargets(this.elements.filter(element => !movingElements.includes(element)), grid);
+    }
+
+    // The guides are painted on the grid layer, that is shown without the grid if needed.
+    _updateSnapGuides() {
+        let visible = this.snapping.guides.length > 0;
+        if (!visible && !this.hasSnapGuides)
+            return;
+
+        this.hasSnapGuides = visible;
+        if (!this.hasGrid) {
+            this.gridLayer.visible = visible;
+            this.gridLayer.opacity = visible ? 255 : 0;
+        }
+        this.gridLayer.queue_repaint();
+    }
+
+    _stopSnapping() {
+        this.snapping.clear();
+        this._updateSnapGuides();
+    }
+
+    // The layer is repainted when the visibility changes.
+    _toggleLayer(layer) {
+        if (layer.ease) {
+            layer.remove_all_transitions();
+            let visible = !layer.visible;
+            layer.visible = true;
+            layer.ease({
                 opacity: visible ? 255 : 0,
                 duration: TOGGLE_ANIMATION_DURATION,
                 transition: Clutter.AnimationMode.EASE_IN_OUT_QUAD,
-                onStopped: () => this.gridLayer.visible = visible
+                onStopped: () => layer.visible = visible
             });
         } else {
-            this.gridLayer.visible = !this.gridLayer.visible;
+            layer.visible = !layer.visible;
+        }
+    }
+
+    get hasSpotlight() {
+        return this.spotlightLayer.visible;
+    }
+
+    toggleSpotlight() {
+        if (this.spotlightMotionHandler) {
+            this._stopSpotlight();
+            this._toggleLayer(this.spotlightLayer);
+            return;
+        }
+
+        this.spotlightRegion = null;
+        // In "fixed region" mode, the next drag defines the region instead of drawing.
+        this.spotlightRegionPending = !this.spotlightFollowPointer;
+        if (this.spotlightRegionPending)
+            this.emit('show-osd', this._extension.FILES.ICONS.SPOTLIGHT, _("Drag to reveal a region"), "", -1, false);
+
+        this.spotlightMotionHandler = this.connect('motion-event', (actor, event) => {
+            if (!this.spotlightFollowPointer)
+                return;
+
+            let coords = event.get_coords();
+            let [s, x, y] = this._transformStagePoint(coords[0], coords[1]);
+            if (!s)
+                return;
+
+            this.spotlightCenter = [x, y];
+            this.spotlightLayer.queue_repaint();
+        });
+
+        this._toggleLayer(this.spotlightLayer);
+    }
+
+    _stopSpotlight() {
+        this._stopSpotlightRegion();
+        this.spotlightRegionPending = false;
+
+        if (this.spotlightMotionHandler) {
+            this.disconnect(this.spotlightMotionHandler);
+            this.spotlightMotionHandler = null;
+        }
+    }
+
+    get hasMagnifier() {
+        return this.magnifier ? true : false;
+    }
+
+    // The lens clones the whole uiGroup (screen content and drawings), so it is added to the stage
+    // rather than to the uiGroup. It is not reactive and does not get in the way of drawing.
+    // Every monitor area has its own lens, see AreaManager.toggleMagnifier. The pointer is watched because
+    // only the active area receives events, and the lens is shown only when the pointer is on the area monitor.
+    toggleMagnifier() {
+        if (this.magnifier) {
+            this._stopMagnifier();
+            return;
+        }
+
+        this.magnifier = new St.Widget({ style_class: 'draw-on-your-screen-magnifier', reactive: false, clip_to_allocation: true });
+        this.magnifierClone = new Clutter.Clone({ source: Main.uiGroup });
+        this.magnifier.add_child(this.magnifierClone);
+        global.stage.add_child(this.magnifier);
+
+        this.magnifierPointerWatch = PointerWatcher.getPointerWatcher().addWatch(MAGNIFIER_POINTER_TIME, this._updateMagnifier.bind(this));
+
+        let [x, y] = global.get_pointer();
+        this._updateMagnifier(x, y);
+    }
+
+    _updateMagnifier(stageX, stageY) {
+        let [size, zoom, monitor] = [this.magnifierSize, this.magnifierZoom, this.monitor];
+        if (stageX < monitor.x || stageX >= monitor.x + monitor.width || stageY < monitor.y || stageY >= monitor.y + monitor.height) {
+            this.magnifier.hide();
+            return;
+        }
+
+        // Keep the lens inside the monitor of the area.
+        let lensX = Math.max(monitor.x, Math.min(stageX - size / 2, monitor.x + monitor.width - size));
+        let lensY = Math.max(monitor.y, Math.min(stageY - size / 2, monitor.y + monitor.height - size));
+
+        this.magnifier.set_size(size, size);
+        this.magnifier.set_position(lensX, lensY);
+        this.magnifierClone.set_scale(zoom, zoom);
+        this.magnifierClone.set_position(stageX - lensX - stageX * zoom, stageY - lensY - stageY * zoom);
+        this.magnifier.show();
+    }
+
+    _stopMagnifier() {
+        if (this.magnifierPointerWatch) {
+            this.magnifierPointerWatch.remove();
+            this.magnifierPointerWatch = null;
+        }
+        if (this.magnifier) {
+            this.magnifier.destroy();
+            this.magnifier = null;
+            this.magnifierClone = null;
+        }
+    }
+
+    _startSpotlightRegion(stageX, stageY) {
+        let [success, startX, startY] = this._transformStagePoint(stageX, stageY);
+        if (!success)
+            return;
+
+        this.spotlightRegion = [startX, startY, startX, startY];
+
+        this.spotlightRegionMotionHandler = this.connect('motion-event', (actor, event) => {
+            let coords = event.get_coords();
+            let [s, x, y] = this._transformStagePoint(coords[0], coords[1]);
+            if (!s)
+                return;
+
+            [this.spotlightRegion[2], this.spotlightRegion[3]] = [x, y];
+            this.spotlightLayer.queue_repaint();
+        });
+
+        this.spotlightRegionReleasedHandler = this.connect('button-release-event', () => {
+            this._stopSpotlightRegion();
+            // A simple click does not define a region, wait for the next drag.
+            let [x1, y1, x2, y2] = this.spotlightRegion;
+            this.spotlightRegionPending = Math.abs(x2 - x1) < 1 || Math.abs(y2 - y1) < 1;
+        });
+    }
+
+    _stopSpotlightRegion() {
+        if (this.spotlightRegionMotionHandler) {
+            this.disconnect(this.spotlightRegionMotionHandler);
+            this.spotlightRegionMotionHandler = null;
+        }
+        if (this.spotlightRegionReleasedHandler) {
+            this.disconnect(this.spotlightRegionReleasedHandler);
+            this.spotlightRegionReleasedHandler = null;
         }
     }
 
@@ -1040,12 +2459,39 @@ export const DrawingArea = GObject.registerClass({
         }
     }
 
+    // The dash lengths that are not set in the preferences depend on the line width.
+    _getDash(lineWidth) {
+        return { active: this.dashedLine,
+                 array: this.dashedLine ? [this.dashArray[0] || lineWidth, this.dashArray[1] || lineWidth * 3] : [0, 0],
+                 offset: this.dashOffset };
+    }
+
+    // With a manipulation tool, the style commands also change the selected or grabbed elements,
+    // each change being an undoable transformation.
+    // getStyle returns the new values of the properties to change, depending on the element.
+    // key is given to undo successive changes at once.
+    _changeElementsStyle(getStyle, key) {
+        if (!this.hasManipulationTool)
+            return;
+
+        let elements = this._targetElements;
+        let startCounts = elements.map(element => element.transformations.length);
+        let changedElements = elements.filter(element => element.setStyle(getStyle));
+        if (!changedElements.length)
+            return;
+
+        this._addTransformationsCommand(changedElements, changedElements.map(element => startCounts[elements.indexOf(element)]),
+                                        DisplayStrings.HistoryCommand.style, this._extension.FILES.ICONS.PALETTE, key);
+        this._redisplay();
+    }
+
     selectColor(index) {
         if (!this.colors[index])
             return;
 
         this.currentColor = this.colors[index];
         this._extension.drawingSettings.set_string("tool-color", this.colors[index].to_string());
+        this._changeElementsStyle(element => element.color && element.shape != Shape.REDACTION ? { color: this.currentColor } : {});
         if (this.currentElement) {
             this.currentElement.color = this.currentColor;
             this._redisplay();
@@ -1056,18 +2502,20 @@ export const DrawingArea = GObject.registerClass({
 
     selectTool(tool) {
         this.currentTool = tool;
-        this.emit('show-osd', this._extension.FILES.ICONS[`TOOL_${Tool.getNameOf(tool)}`] || null, DisplayStrings.Tool[tool], "", -1, false);
+        this.emit('show-osd', this._getToolIcon(tool), DisplayStrings.Tool[tool], "", -1, false);
         this.updatePointerCursor();
     }
 
     switchFill() {
         this.fill = !this.fill;
+        this._changeElementsStyle(element => element.fill !== undefined ? { fill: this.fill } : {});
         let icon = this._extension.FILES.ICONS[this.fill ? 'FILL' : 'STROKE'];
         this.emit('show-osd', icon, DisplayStrings.getFill(this.fill), "", -1, false);
     }
 
     switchFillRule() {
         this.currentFillRule = this.currentFillRule == 1 ? 0 : this.currentFillRule + 1;
+        this._changeElementsStyle(element => element.fillRule !== undefined ? { fillRule: this.currentFillRule } : {});
         let icon = this._extension.FILES.ICONS[this.currentEvenodd ? 'FILLRULE_EVENODD' : 'FILLRULE_NONZERO'];
         this.emit('show-osd', icon, DisplayStrings.FillRule[this.currentFillRule], "", -1, false);
     }
@@ -1083,23 +2531,28 @@ export const DrawingArea = GObject.registerClass({
 
     switchDash() {
         this.dashedLine = !this.dashedLine;
+        this._changeElementsStyle(element => element.line && !element.highlighter ? { dash: this._getDash(element.line.lineWidth) } : {});
         let icon = this._extension.FILES.ICONS[this.dashedLine ? 'DASHED_LINE' : 'FULL_LINE'];
         this.emit('show-osd', icon, DisplayStrings.getDashedLine(this.dashedLine), "", -1, false);
     }
 
     incrementLineWidth(increment) {
         this.currentLineWidth = Math.max(this.currentLineWidth + increment, 0);
+        this._changeElementsStyle(element => element.line ? { line: Object.assign({}, element.line, { lineWidth: Math.max(element.line.lineWidth + increment, 0) }) } : {},
+                                  'line-width');
         this.emit('show-osd', null, DisplayStrings.getPixels(this.currentLineWidth), "", 2 * this.currentLineWidth, false);
         this._extension.drawingSettings.set_int("tool-size", this.currentLineWidth)
     }
 
     switchLineJoin() {
         this.currentLineJoin = this.currentLineJoin == 2 ? 0 : this.currentLineJoin + 1;
+        this._changeElementsStyle(element => element.line && !element.highlighter ? { line: Object.assign({}, element.line, { lineJoin: this.currentLineJoin }) } : {});
         this.emit('show-osd', this._extension.FILES.ICONS.LINEJOIN, DisplayStrings.LineJoin[this.currentLineJoin], "", -1, false);
     }
 
     switchLineCap() {
         this.currentLineCap = this.currentLineCap == 2 ? 0 : this.currentLineCap + 1;
+        this._changeElementsStyle(element => element.line && !element.highlighter ? { line: Object.assign({}, element.line, { lineCap: this.currentLineCap }) } : {});
         this.emit('show-osd', this._extension.FILES.ICONS.LINECAP, DisplayStrings.LineCap[this.currentLineCap], "", -1, false);
     }
 
@@ -1107,6 +2560,7 @@ export const DrawingArea = GObject.registerClass({
         let fontWeights = Object.keys(DisplayStrings.FontWeight).map(key => Number(key));
         let index = fontWeights.indexOf(this.currentFontWeight);
         this.currentFontWeight = index == fontWeights.length - 1 ? fontWeights[0] : fontWeights[index + 1];
+        this._changeElementsStyle(element => element.font ? { font: this._getFontWith(element.font, 'weight', this.currentFontWeight) } : {});
         if (this.currentElement && this.currentElement.font) {
             this.currentElement.font.set_weight(this.currentFontWeight);
             this._redisplay();
@@ -1117,6 +2571,7 @@ export const DrawingArea = GObject.registerClass({
 
     switchFontStyle() {
         this.currentFontStyle = this.currentFontStyle == 2 ? 0 : this.currentFontStyle + 1;
+        this._changeElementsStyle(element => element.font ? { font: this._getFontWith(element.font, 'style', this.currentFontStyle) } : {});
         if (this.currentElement && this.currentElement.font) {
             this.currentElement.font.set_style(this.currentFontStyle);
             this._redisplay();
@@ -1131,6 +2586,7 @@ export const DrawingArea = GObject.registerClass({
             this.currentFontFamily = (index == 0) ? this.fontFamilies[this.fontFamilies.length - 1] : this.fontFamilies[index - 1];
         else
             this.currentFontFamily = (index == this.fontFamilies.length - 1) ? this.fontFamilies[0] : this.fontFamilies[index + 1];
+        this._changeElementsStyle(element => element.font ? { font: this._getFontWith(element.font, 'family', this.currentFontFamily) } : {});
         if (this.currentElement && this.currentElement.font) {
             this.currentElement.font.set_family(this.currentFontFamily);
             this._redisplay();
@@ -1140,6 +2596,7 @@ export const DrawingArea = GObject.registerClass({
 
     switchTextAlignment() {
         this.currentTextAlignment = this.currentTextAlignment == 2 ? 0 : this.currentTextAlignment + 1;
+        this._changeElementsStyle(element => element.shape == Shape.TEXT ? { textAlignment: this.currentTextAlignment } : {});
         if (this.currentElement && this.currentElement.textAlignment != this.currentTextAlignment) {
             this.currentElement.textAlignment = this.currentTextAlignment;
             this._redisplay();
@@ -1148,6 +2605,13 @@ export const DrawingArea = GObject.registerClass({
         this.emit('show-osd', icon, DisplayStrings.TextAlignment[this.currentTextAlignment], "", -1, false);
     }
 
+    // Font descriptions are not shared between elements, so a new one is made for each change.
+    _getFontWith(font, attribute, value) {
+        let newFont = font.copy();
+        newFont[`set_${attribute}`](value);
+        return newFont;
+    }
+
     switchImageFile(reverse) {
         this.currentImage = this._extension.FILES.IMAGES[reverse ? 'getPrevious' : 'getNext'](this.currentImage);
         if (this.currentImage)
@@ -1278,7 +2742,13 @@ export const DrawingArea = GObject.registerClass({
 
     _onDestroy() {
         this._extension.drawingSettings.disconnect(this.drawingSettingsChangedHandler);
-        this.erase();
+        this._stopLaserStrokes();
+        this._stopSpotlight();
+        this._stopMagnifier();
+        // The area is torn down, there is nothing to undo or to repaint.
+        this.elements = [];
+        this.currentElement = null;
+        this.history.clear();
         if (this._menu)
             this._menu.disable();
         delete this.areaManagerUtils;
@@ -1311,6 +2781,16 @@ export const DrawingArea = GObject.registerClass({
         }
 
         this._stopAll(true);
+        this._stopLaserStrokes();
+        this.selectedElements = [];
+        this.foreLayer.queue_repaint();
+
+        if (this.spotlightMotionHandler) {
+            this._stopSpotlight();
+            this.spotlightLayer.hide();
+            this.spotlightLayer.opacity = 0;
+        }
+        this._stopMagnifier();
 
         if (erase)
             this.erase();
@@ -1353,28 +2833,178 @@ export const DrawingArea = GObject.registerClass({
         return [getGiconSvgContent, getImageSvgContent];
     }
 
-    exportToSvg() {
-        this._stopAll();
-
+    // "rect" is [x, y, width, height], the whole layer container by default.
+    _getSvgContent(elements, rect = [0, 0, this.layerContainer.width, this.layerContainer.height]) {
         let prefixes = 'xmlns="http://www.w3.org/2000/svg"';
-        if (this.elements.some(element => element.shape == Shape.IMAGE))
+        if (getFlattenedElements(elements).some(element => element.image))
             prefixes += ' xmlns:xlink="http://www.w3.org/1999/xlink"';
-        let content = `<svg viewBox="0 0 ${this.layerContainer.width} ${this.layerContainer.height}" ${prefixes}>`;
+        let content = `<svg viewBox="${rect.join(' ')}" ${prefixes}>`;
         let backgroundColorString = this.hasBackground ? String(this.areaBackgroundColor) : 'transparent';
         if (backgroundColorString != 'transparent')
-            content += `\n  <rect id="background" width="100%" height="100%" fill="${backgroundColorString}"/>`;
-        this.elements.forEach(element => content += element.buildSVG(backgroundColorString));
+            content += `\n  <rect id="background" x="${rect[0]}" y="${rect[1]}" width="${rect[2]}" height="${rect[3]}" fill="${backgroundColorString}"/>`;
+        elements.forEach(element => content += element.buildSVG(backgroundColorString));
         content += "\n</svg>";
+        return content;
+    }
+
+    // The background stays transparent unless the area has one.
+    _getImageSurface(elements, scale, rect = [0, 0, this.layerContainer.width, this.layerContainer.height]) {
+        let [x, y, width, height] = rect;
+        let surface = new Cairo.ImageSurface(Cairo.Format.ARGB32, Math.round(width * scale), Math.round(height * scale));
+        // the device transformation survives the "identityMatrix" call that ends each "buildCairo"
+        surface.setDeviceScale(scale, scale);
+        surface.setDeviceOffset(-x * scale, -y * scale);
+        let cr = new Cairo.Context(surface);
+        this._paintElements(cr, elements);
+
+        if (this.hasBackground) {
+            cr.setOperator(Cairo.Operator.DEST_OVER);
+            cr.setSourceColor(this.areaBackgroundColor);
+            cr.paint();
+        }
+
+        cr.$dispose();
+        return surface;
+    }
+
+    exportToSvg() {
+        this._stopAll();
+
+        let content = this._getSvgContent(this.elements);
+        // The json of the elements makes the file lossless when it is imported back, at the cost of its size.
+        if (this.svgEmbedDrawing)
+            content = SvgParser.addMetadata(content, JSON.stringify(this.elements));
+
+        if (this._extension.FILES.saveSvg(content))
+            this.fireExportFeedback("Save as SVG");
+    }
 
-        if (this._extension.FILES.saveSvg(content)) {
-            let flashspot = new Screenshot.Flashspot(this);
-            flashspot.fire();
-            if (global.play_theme_sound) {
-                global.play_theme_sound(0, 'screen-capture', "Save as SVG", null);
-            } else if (global.display && global.display.get_sound_player) {
-                let player = global.display.get_sound_player();
-                player.play_from_theme('screen-capture', "Save as SVG", null);
+    exportToPng() {
+        this._stopAll();
+
+        let surface = this._getImageSurface(this.elements, this.pngDoubleSize ? 2 : 1);
+        let file = this._extension.FILES.savePng(surface);
+        surface.finish();
+
+        if (file)
+            this.fireExportFeedback("Save as PNG");
+    }
+
+    // The selection is cropped to its extents, while the whole drawing keeps the area frame.
+    // Both a PNG and a SVG flavour are offered, the application that pastes picks the one it supports.
+    copyImage() {
+        this._stopAll();
+
+        let elements = this._targetElements.length ? this._targetElements : this.elements;
+        if (!elements.length)
+            return;
+
+        let rect;
+        if (elements != this.elements) {
+            let extents = elements.map(element => getElementExtents(element)).reduce(getExtentsUnion, null);
+            if (!extents)
+                return;
+
+            let [x1, y1, x2, y2] = [Math.floor(extents[0]), Math.floor(extents[1]), Math.ceil(extents[2]), Math.ceil(extents[3])];
+            if (x2 == x1 || y2 == y1)
+                return;
+
+            rect = [x1, y1, x2 - x1, y2 - y1];
+        }
+
+        let surface = this._getImageSurface(elements, 1, rect);
+        let pixbuf = Gdk.pixbuf_get_from_surface(surface, 0, 0, surface.getWidth(), surface.getHeight());
+        surface.finish();
+
+        let source = new MultipleSelectionSource({
+            'image/png': new GLib.Bytes(pixbuf.save_to_bufferv('png', [], [])[1]),
+            'image/svg+xml': new GLib.Bytes(new TextEncoder().encode(this._getSvgContent(elements, rect))),
+        });
+        global.display.get_selection().set_owner(Meta.SelectionType.SELECTION_CLIPBOARD, source);
+
+        // Translators: It is displayed in an OSD notification when copying the drawing or the selection to the clipboard.
+        this.emit('show-osd', this._extension.FILES.ICONS.COPY, pgettext("osd-notification", "Copied as image"), "", -1, false);
+    }
+
+    // Paints the elements without any selection or grab decoration.
+    _paintElements(cr, elements = this.elements) {
+        elements.forEach(element => {
+            cr.save();
+            element.buildCairo(cr, {});
+
+            if (element.fill && !element.isStraightLine) {
+                cr.fillPreserve();
+                if (element.shape == Shape.NONE || element.shape == Shape.LINE)
+                    cr.closePath();
             }
+
+            cr.stroke();
+            cr.restore();
+        });
+    }
+
+    // Called by the area manager once the screen behind the area has been captured.
+    // The device offset of the surface places the layer container origin, since "buildCairo" resets the matrix.
+    paintOverScreenshot(cr) {
+        this._stopAll();
+
+        if (this.hasBackground) {
+            cr.rectangle(0, 0, this.layerContainer.width, this.layerContainer.height);
+            cr.setSourceColor(this.areaBackgroundColor);
+            cr.fill();
+        }
+
+        this._paintElements(cr);
+    }
+
+    // One page per saved drawing. Texts are laid out by PangoCairo, so they stay selectable in the PDF.
+    exportJsonsToPdf(jsons) {
+        this._stopAll();
+
+        // The drawings that cannot be read are skipped.
+        let pages = jsons.map(json => {
+            try {
+                return json.contents ? JSON.parse(json.contents).map(object => this._reviveElement(object)) : [];
+            } catch (e) {
+                log(`${this._extension.metadata.uuid}: cannot read "${json}": ${e.message}`);
+                return null;
+            }
+        }).filter(elements => elements);
+
+        let success = pages.length && this._extension.FILES.savePdf(this.layerContainer.width, this.layerContainer.height, cr => {
+            pages.forEach(elements => {
+                if (this.hasBackground) {
+                    cr.setSourceColor(this.areaBackgroundColor);
+                    cr.paint();
+                }
+
+                this._paintElements(cr, elements);
+                cr.showPage();
+            });
+        });
+
+        if (!success) {
+            // Translators: It is displayed in an OSD notification when the PDF file cannot be written.
+            this.emit('show-osd', null, pgettext("osd-notification", "Export to PDF failed"), "", -1, false);
+            return;
+        }
+
+        if (pages.length < jsons.length)
+            // Translators: It is displayed in an OSD notification when some saved drawings are corrupted.
+            this.emit('show-osd', this._extension.FILES.ICONS.DOCUMENT_EXPORT, pgettext("osd-notification", "Unreadable drawings were skipped"), "", -1, false);
+
+        this.fireExportFeedback("Export to PDF");
+    }
+
+    // "rect" is anything with x, y, width and height, in stage coordinates.
+    fireExportFeedback(description, rect = this) {
+        let flashspot = new Screenshot.Flashspot(rect);
+        flashspot.fire();
+        if (global.play_theme_sound) {
+            global.play_theme_sound(0, 'screen-capture', description, null);
+        } else if (global.display && global.display.get_sound_player) {
+            let player = global.display.get_sound_player();
+            player.play_from_theme('screen-capture', description, null);
         }
     }
 
@@ -1386,7 +3016,15 @@ export const DrawingArea = GObject.registerClass({
         let contents = this.elements.length ? `[\n  ` + new Array(...this.elements.map(element => JSON.stringify(element))).join(`,\n\n  `) + `\n]` : '[]';
 
         GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
-            json.contents = contents;
+            try {
+                json.contents = contents;
+            } catch (e) {
+                log(`${this._extension.metadata.uuid}: cannot save "${json.file.get_path()}": ${e.message}`);
+                // Translators: It is displayed in an OSD notification when the drawing file cannot be written.
+                this.emit('show-osd', null, pgettext("osd-notification", "Cannot save the drawing"), "", -1, false);
+                return;
+            }
+
             if (notify)
                 this.emit('show-osd', this._extension.FILES.ICONS.SAVE, json.name, "", -1, false);
             if (!json.isPersistent)
@@ -1404,6 +3042,15 @@ export const DrawingArea = GObject.registerClass({
         this._saveAsJson(this._extension.FILES.JSONS.getDated(), notify, callback);
     }
 
+    saveAsFile(path, callback) {
+        let json = this._extension.FILES.JSONS.getForPath(path);
+        this._saveAsJson(json, true, () => {
+            this._extension.FILES.JSONS.addRecent(json.file);
+            if (callback)
+                callback();
+        });
+    }
+
     savePersistent() {
         this._saveAsJson(this._extension.FILES.JSONS.getPersistent());
     }
@@ -1417,40 +3064,90 @@ export const DrawingArea = GObject.registerClass({
 
     }
 
+    // It throws, without changing the drawing, if the file is not a drawing file.
     _loadJson(json, notify) {
         this._stopAll();
 
-        this.elements = [];
+        let elements = json.contents ? JSON.parse(json.contents).map(object => this._reviveElement(object)) : [];
+        this.elements = elements;
         this.currentElement = null;
 
         if (!json.contents)
             return;
 
-        this.elements.push(...JSON.parse(json.contents).map(object => {
-            if (object.color)
-                object.color = this.getColorFromString(object.color, 'White');
-            if (object.font && typeof object.font == 'string')
-                object.font = Pango.FontDescription.from_string(object.font);
-            if (object.image)
-                object.image = new Image(object.image);
-            return new Elements.DrawingElement(object);
-        }));
-
         if (notify)
             this.emit('show-osd', this._extension.FILES.ICONS.OPEN, json.name, "", -1, false);
         if (!json.isPersistent)
             this.currentJson = json;
     }
 
+    // Build an element from its parsed JSON.
+    _reviveElement(object) {
+        if (object.color)
+            object.color = this.getColorFromString(object.color, 'White');
+        if (object.font && typeof object.font == 'string')
+            object.font = Pango.FontDescription.from_string(object.font);
+        if (object.image)
+            object.image = new Image(object.image);
+        if (object.children)
+            object.children = object.children.map(child => this._reviveElement(child));
+        return new Elements.DrawingElement(object);
+    }
+
     _loadPersistent() {
         this._loadJson(this._extension.FILES.JSONS.getPersistent());
     }
 
     loadJson(json, notify) {
+        let [oldElements, oldJson] = [this.elements, this.currentJson];
         this._loadJson(json, notify);
+        let [newElements, newJson] = [this.elements, this.currentJson];
+        this.history.add({
+            label: DisplayStrings.HistoryCommand.open,
+            icon: this._extension.FILES.ICONS.OPEN,
+            undo: () => [this.elements, this.currentJson] = [oldElements.slice(), oldJson],
+            redo: () => [this.elements, this.currentJson] = [newElements.slice(), newJson]
+        });
         this._redisplay();
     }
 
+    // SVG files are imported into the current drawing, the other files are opened as drawing files.
+    openFile(path) {
+        if (path.toLowerCase().endsWith('.svg')) {
+            let file = this._extension.FILES.JSONS.getFileForPath(path);
+            let contents;
+            try {
+                [, contents] = file.load_contents(null);
+            } catch (e) {
+                // Translators: It is displayed in an OSD notification when the typed path does not lead to a drawing file.
+                this.emit('show-osd', null, pgettext("osd-notification", "File not found"), "", -1, false);
+                return;
+            }
+
+            this._stopAll();
+            if (this._importSvgContents(contents))
+                this._extension.FILES.JSONS.addRecent(file);
+            return;
+        }
+
+        let json = this._extension.FILES.JSONS.getForPath(path);
+        if (json.contents === null) {
+            // Translators: It is displayed in an OSD notification when the typed path does not lead to a drawing file.
+            this.emit('show-osd', null, pgettext("osd-notification", "File not found"), "", -1, false);
+            return;
+        }
+
+        try {
+            this.loadJson(json, true);
+        } catch (e) {
+            // Translators: It is displayed in an OSD notification when the typed path leads to a file that is not a drawing.
+            this.emit('show-osd', null, pgettext("osd-notification", "Not a drawing file"), "", -1, false);
+            return;
+        }
+
+        this._extension.FILES.JSONS.addRecent(json.file);
+    }
+
     loadPreviousJson() {
         let json = this._extension.FILES.JSONS.getPrevious(this.currentJson || null);
         if (json)
@@ -19,11 +19,12 @@
  */
 
 /* jslint esversion: 6 */
-/* exported Shape, TextAlignment, Transformation, getAllFontFamilies, DrawingElement */
+/* exported Shape, ArrowHeads, ArrowHeadStyle, StampStyle, RedactionMode, TextAlignment, Transformation, getAllFontFamilies, DrawingElement */
 
 import Cairo from 'cairo';
 
 import Clutter from 'gi://Clutter';
+import GdkPixbuf from 'gi://GdkPixbuf';
 import GObject from 'gi://GObject';
 import Pango from 'gi://Pango';
 import PangoCairo from 'gi://PangoCairo';
@@ -39,9 +40,13 @@ export const StaticColor = {
     RED: Clutter.Color.new(255, 0, 0, 255)
 }
 
-export const Shape = { NONE: 0, LINE: 1, ELLIPSE: 2, RECTANGLE: 3, TEXT: 4, POLYGON: 5, POLYLINE: 6, IMAGE: 7 };
+export const Shape = { NONE: 0, LINE: 1, ELLIPSE: 2, RECTANGLE: 3, TEXT: 4, POLYGON: 5, POLYLINE: 6, IMAGE: 7, ARROW: 8, STAMP: 9, REDACTION: 10, GROUP: 11 };
+export const ArrowHeads = { SINGLE: 0, DOUBLE: 1 };
+export const ArrowHeadStyle = { OPEN: 0, FILLED: 1, CIRCLE: 2 };
+export const StampStyle = { CIRCLE: 0, ROUNDED_SQUARE: 1 };
+export const RedactionMode = { PIXELATE: 0, BLUR: 1, SOLID: 2 };
 export const TextAlignment = { LEFT: 0, CENTER: 1, RIGHT: 2 };
-export const Transformation = { TRANSLATION: 0, ROTATION: 1, SCALE_PRESERVE: 2, STRETCH: 3, REFLECTION: 4, INVERSION: 5, SMOOTH: 100 };
+export const Transformation = { TRANSLATION: 0, ROTATION: 1, SCALE_PRESERVE: 2, STRETCH: 3, REFLECTION: 4, INVERSION: 5, SMOOTH: 100, RECOGNITION: 101, STYLE: 102 };
 
 export const getAllFontFamilies = function() {
     return PangoCairo.font_map_get_default().list_families().map(fontFamily => fontFamily.get_name()).sort((a,b) => a.localeCompare(b));
@@ -73,14 +78,43 @@ const MIN_TRANSLATION_DISTANCE = 1;         // px
 const MIN_ROTATION_ANGLE = Math.PI / 1000;  // rad
 const MIN_DRAWING_SIZE = 3;                 // px
 const MIN_INTERMEDIATE_POINT_DISTANCE = 1;  // px, the higher it is, the fewer points there will be
+const ARROW_HEAD_RATIO = 4;                 // line widths, the length of an arrow head
+const ARROW_HEAD_ANGLE = Math.PI / 6;       // rad, half the opening of an arrow head
+const MIN_ARROW_HEAD_LENGTH = 8;            // px
+const DEFAULT_STAMP_RADIUS = 18;            // px, when the stamp is placed with a simple click
+const STAMP_FONT_RATIO = 1.1;               // radius, the height of the number
+const MIN_RECOGNITION_SIZE = 10;            // px, the minimal length of a stroke to recognize
+const LINE_RECOGNITION_STRAIGHTNESS = 0.95; // the ratio between the distance from the start to the end and the stroke length
+const CLOSED_RECOGNITION_GAP = 0.15;        // stroke lengths, the maximal gap between the start and the end of closed shapes
+const SHAPE_RECOGNITION_TOLERANCE = 0.1;    // radii, the maximal mean deviation from an ellipse or a rectangle
+const POLYGON_RECOGNITION_TOLERANCE = 0.06; // sizes, the maximal deviation from a polygon side
+const MAX_POLYGON_VERTICES = 8;
 const MARK_COLOR = StaticColor.BLUE
 
 export const DrawingElement = function(params) {
     return params.shape == Shape.TEXT ? new TextElement(params) :
            params.shape == Shape.IMAGE ? new ImageElement(params) :
+           params.shape == Shape.ARROW ? new ArrowElement(params) :
+           params.shape == Shape.STAMP ? new StampElement(params) :
+           params.shape == Shape.REDACTION ? new RedactionElement(params) :
+           params.shape == Shape.GROUP ? new GroupElement(params) :
            new _DrawingElement(params);
 };
 
+// The elements themselves and the elements of the groups they contain, recursively.
+export const getFlattenedElements = function(elements) {
+    return elements.flatMap(element => element.shape == Shape.GROUP ? getFlattenedElements(element.children) : [element]);
+};
+
+// Extents are [x1, y1, x2, y2] arrays, or null when empty.
+export const getExtentsUnion = function(extentsA, extentsB) {
+    if (!extentsA || !extentsB)
+        return extentsA || extentsB;
+
+    return [Math.min(extentsA[0], extentsB[0]), Math.min(extentsA[1], extentsB[1]),
+            Math.max(extentsA[2], extentsB[2]), Math.max(extentsA[3], extentsB[3])];
+};
+
 // DrawingElement represents a "brushstroke".
 // It can be converted into a cairo path as well as a svg element.
 // See DrawingArea._startDrawing() to know its params.
@@ -139,14 +173,24 @@ const _DrawingElement = GObject.registerClass({
             fill: this.fill,
             fillRule: this.fillRule,
             eraser: this.eraser,
-            transformations: this.transformations.filter(transformation => transformation.type != Transformation.SMOOTH)
-                                                 .map(transformation => Object.assign({}, transformation, { undoable: undefined })),
-            points: this.points.map((point) => [Math.round(point[0]*100)/100, Math.round(point[1]*100)/100])
+            highlighter: this.highlighter,
+            opacity: this.opacity,
+            transformations: this._savedTransformations,
+            // The third coordinate is the width of pressure-sensitive free drawings.
+            points: this.points.map((point) => point.map(coord => Math.round(coord*100)/100))
         };
     }
     
+    // The undoable flag is only found in drawings saved by older versions.
+    get _savedTransformations() {
+        return this.transformations.filter(isSavedTransformation)
+                                   .map(transformation => Object.assign({}, transformation, { undoable: undefined }));
+    }
+    
     buildCairo(cr, params) {
-        if (this.color)
+        if (this.color && this.highlighter)
+            cr.setSourceRGBA(this.color.red / 255, this.color.green / 255, this.color.blue / 255, this.color.alpha / 255 * this.opacity);
+        else if (this.color)
             cr.setSourceColor(this.color);
 
         if (this.line) {
@@ -161,8 +205,12 @@ const _DrawingElement = GObject.registerClass({
         if (this.dash?.active && this.dash.array && this.dash.array[0] && this.dash.array[1])
             cr.setDash(this.dash.array, this.dash.offset);
         
+        // MULTIPLY darkens where separate highlighter strokes overlap. Each stroke is painted at once as a single path,
+        // so the parts where one stroke overlaps itself do not get darker.
         if (this.eraser)
             cr.setOperator(Cairo.Operator.CLEAR);
+        else if (this.highlighter)
+            cr.setOperator(Cairo.Operator.MULTIPLY);
         else
             cr.setOperator(Cairo.Operator.OVER);
         
@@ -174,6 +222,13 @@ const _DrawingElement = GObject.registerClass({
             cr.setLineWidth(this.line.lineWidth / 2 || 1);
         }
         
+        this._applyTransformations(cr);
+        this._drawCairo(cr, params);
+        
+        cr.identityMatrix();
+    }
+    
+    _applyTransformations(cr) {
         this.transformations.slice(0).reverse().forEach(transformation => {
             if (transformation.type == Transformation.TRANSLATION) {
                 cr.translate(transformation.slideX, transformation.slideY);
@@ -197,10 +252,6 @@ const _DrawingElement = GObject.registerClass({
                 cr.translate(-transformation.slideX, -transformation.slideY);
             }
         });
-        
-        this._drawCairo(cr, params);
-        
-        cr.identityMatrix();
     }
     
     _addMarks(cr) {
@@ -251,6 +302,30 @@ const _DrawingElement = GObject.registerClass({
             cr.moveTo(points[0][0], points[0][1]);
             cr.curveTo(points[1][0], points[1][1], points[2][0], points[2][1], points[3][0], points[3][1]);
             
+        } else if (shape == Shape.NONE && this.isPressureSensitive) {
+            cr.save();
+            cr.setFillRule(Cairo.FillRule.WINDING);
+            let [discs, quads] = getPressureOutline(points);
+            discs.forEach(([x, y, radius]) => {
+                cr.newSubPath();
+                cr.arc(x, y, radius, 0, 2 * Math.PI);
+                cr.closePath();
+            });
+            quads.forEach(quad => {
+                cr.moveTo(quad[0][0], quad[0][1]);
+                quad.slice(1).forEach(point => cr.lineTo(point[0], point[1]));
+                cr.closePath();
+            });
+            cr.fill();
+            cr.restore();
+            
+            // Keep the center line to fill the drawing and to find the element, but do not stroke it.
+            cr.moveTo(points[0][0], points[0][1]);
+            for (let j = 1; j < points.length; j++) {
+                cr.lineTo(points[j][0], points[j][1]);
+            }
+            cr.setLineWidth(0);
+            
         } else if (shape == Shape.NONE || shape == Shape.LINE) {
             cr.moveTo(points[0][0], points[0][1]);
             for (let j = 1; j < points.length; j++) {
@@ -298,6 +373,63 @@ const _DrawingElement = GObject.registerClass({
         return inElement;
     }
     
+    // For free drawings and polylines only.
+    // Cut the path where it is covered by a disc given in area coordinates, like the pointer.
+    // Return the new elements made of the remaining parts, or null if the disc does not touch the path.
+    erase(x, y, radius) {
+        let [center, localRadius] = withDummyContext(cr => {
+            this._applyTransformations(cr);
+            let [dx, dy] = cr.deviceToUserDistance(radius, 0);
+            return [cr.deviceToUser(x, y), Math.hypot(dx, dy)];
+        });
+        localRadius += this.line.lineWidth / 2;
+        
+        let points = this.points;
+        let isTouched = false;
+        let parts = [];
+        let part = getNearness(points[0], center, localRadius) ? null : [points[0]];
+        for (let i = 1; i < points.length; i++) {
+            let [start, end] = [points[i - 1], points[i]];
+            let interval = getSegmentDiscIntersection(start, end, center, localRadius);
+            if (!interval) {
+                (part || (part = [start])).push(end);
+                continue;
+            }
+            
+            isTouched = true;
+            let interpolate = t => start.map((coord, index) => coord + (end[index] - coord) * t);
+            if (part) {
+                if (interval[0] > 0)
+                    part.push(interpolate(interval[0]));
+                parts.push(part);
+                part = null;
+            }
+            if (interval[1] < 1)
+                part = [interpolate(interval[1]), end];
+        }
+        if (part)
+            parts.push(part);
+        
+        if (!isTouched)
+            return null;
+        
+        return parts.filter(part => part.length >= 2).map(part => this._copyWithPoints(part));
+    }
+    
+    // The centers of the transformations are kept, since they depend on the points.
+    _copyWithPoints(points) {
+        let transformations = this.transformations.filter(isSavedTransformation).map(transformation => {
+            let copy = Object.assign({}, transformation, { undoable: undefined });
+            if (transformation.type == Transformation.ROTATION || transformation.type == Transformation.SCALE_PRESERVE ||
+                transformation.type == Transformation.STRETCH)
+                copy.center = this._getTransformedCenter(transformation);
+            delete copy.elementTransformedCenter;
+            return copy;
+        });
+        
+        return new DrawingElement(Object.assign(this.toJSON(), { line: Object.assign({}, this.line), transformations, points }));
+    }
+    
     buildSVG(bgcolorString) {
         let transforms = [];
         this.transformations.slice(0).reverse().forEach(transformation => {
@@ -381,6 +513,8 @@ const _DrawingElement = GObject.registerClass({
                 attributes += ` stroke-linejoin="${getLineJoinSvgName(this.line.lineJoin)}"`;
             if (this.dash && this.dash.active && this.dash.array && this.dash.array[0] && this.dash.array[1])
                 attributes += ` stroke-dasharray="${this.dash.array[0]} ${this.dash.array[1]}" stroke-dashoffset="${this.dash.offset}"`;
+            if (this.highlighter && !this.eraser)
+                attributes += ` stroke-opacity="${this.opacity}" style="mix-blend-mode:multiply"`;
         }
         
         if (this.shape == Shape.LINE && points.length == 4) {
@@ -396,6 +530,22 @@ const _DrawingElement = GObject.registerClass({
         } else if (this.shape == Shape.LINE) {
             row += `<line ${attributes} x1="${points[0][0]}" y1="${points[0][1]}" x2="${points[1][0]}" y2="${points[1][1]}"${transAttribute}/>`;
         
+        } else if (this.shape == Shape.NONE && this.isPressureSensitive) {
+            if (fill) {
+                row += `<path fill="${color}"${this.fillRule ? ` fill-rule="${getFillRuleSvgName(this.fillRule)}"` : ''} d="M${points[0][0]} ${points[0][1]}`;
+                for (let i = 1; i < points.length; i++)
+                    row += ` L ${points[i][0]} ${points[i][1]}`;
+                row += `z"${transAttribute}/>\n  `;
+            }
+            
+            let [discs, quads] = getPressureOutline(points);
+            let d = discs.map(disc => disc.map(value => Math.round(value * 100) / 100)).map(([x, y, r]) => {
+                return `M${x + r} ${y} A ${r} ${r} 0 1 1 ${x - r} ${y} A ${r} ${r} 0 1 1 ${x + r} ${y} Z`;
+            }).concat(quads.map(quad => {
+                return 'M' + quad.map(point => point.map(coord => Math.round(coord * 100) / 100).join(' ')).join(' L ') + ' Z';
+            })).join(' ');
+            row += `<path ${this.eraser ? `class="eraser" ` : ''}fill="${color}" d="${d}"${transAttribute}/>`;
+            
         } else if (this.shape == Shape.NONE) {
             row += `<path ${attributes} d="M${points[0][0]} ${points[0][1]}`;
             for (let i = 1; i < points.length; i++)
@@ -443,6 +593,11 @@ const _DrawingElement = GObject.registerClass({
         return this.shape == Shape.LINE && this.points.length == 2;
     }
     
+    // Free drawings made with a pressure-sensitive device store the width of the stroke with each point.
+    get isPressureSensitive() {
+        return this.shape == Shape.NONE && this.points.length > 0 && this.points[0].length > 2;
+    }
+    
     smoothAll() {
         let oldPoints = this.points.slice();
         
@@ -451,12 +606,65 @@ const _DrawingElement = GObject.registerClass({
         
         let newPoints = this.points.slice();
         
-        this.transformations.push({ type: Transformation.SMOOTH, undoable: true,
+        this.transformations.push({ type: Transformation.SMOOTH,
                                     undo: () => this.points = oldPoints,
                                     redo: () => this.points = newPoints });
+    }
+    
+    // Replace a free drawing with the line, ellipse, rectangle or polygon it looks like.
+    // Return false if the stroke is not recognized.
+    recognize() {
+        if (this.shape != Shape.NONE)
+            return false;
+        
+        let recognized = getRecognizedShape(this.points);
+        if (!recognized)
+            return false;
+        
+        let [oldShape, oldPoints] = [this.shape, this.points];
+        let [newShape, newPoints] = recognized;
+        let setShape = (shape, points) => {
+            [this.shape, this.points] = [shape, points];
+            // Centers depend on the shape.
+            delete this._originalCenter;
+            this.transformations.forEach(transformation => delete transformation.elementTransformedCenter);
+        };
+        
+        setShape(newShape, newPoints);
+        this.transformations.push({ type: Transformation.RECOGNITION,
+                                    undo: () => setShape(oldShape, oldPoints),
+                                    redo: () => setShape(newShape, newPoints) });
+        
+        return true;
+    }
+    
+    // Change style properties (color, line, dash, fill, font…) of the drawn element.
+    // getStyle returns the new values of the properties to change, depending on the element.
+    // Return false if nothing has changed.
+    setStyle(getStyle) {
+        let change = this._getStyleChange(getStyle);
+        if (!change)
+            return false;
+        
+        change.redo();
+        this.transformations.push({ type: Transformation.STYLE,
+                                    undo: change.undo,
+                                    redo: change.redo });
+        
+        return true;
+    }
+    
+    _getStyleChange(getStyle) {
+        let style = getStyle(this);
+        let keys = Object.keys(style).filter(key => getStyleString(style[key]) != getStyleString(this[key]));
+        if (!keys.length)
+            return null;
+        
+        let [oldStyle, newStyle] = [{}, {}];
+        keys.forEach(key => [oldStyle[key], newStyle[key]] = [this[key], style[key]]);
         
-        if (this._undoneTransformations)
-            this._undoneTransformations = this._undoneTransformations.filter(transformation => transformation.type != Transformation.SMOOTH);
+        return { undo: () => Object.assign(this, oldStyle),
+                 redo: () => Object.assign(this, newStyle) };
     }
     
     addPoint() {
@@ -486,14 +694,18 @@ const _DrawingElement = GObject.registerClass({
             this._smooth(points.length - 1);
     }
     
-    startDrawing(startX, startY) {
-        this.points.push([startX, startY]);
+    // widthRatio is only given for free drawings made with a pressure-sensitive device.
+    startDrawing(startX, startY, widthRatio) {
+        if (this.shape == Shape.NONE && widthRatio)
+            this.points.push([startX, startY, Math.round(this.line.lineWidth * widthRatio * 100) / 100]);
+        else
+            this.points.push([startX, startY]);
         
         if (this.shape == Shape.POLYGON || this.shape == Shape.POLYLINE)
             this.points.push([startX, startY]);
     }
     
-    updateDrawing(x, y, transform) {
+    updateDrawing(x, y, transform, widthRatio) {
         let points = this.points;
         if (x == points[points.length - 1][0] && y == points[points.length - 1][1])
             return;
@@ -501,7 +713,10 @@ const _DrawingElement = GObject.registerClass({
         transform = transform || this.transformations.length >= 1;
         
         if (this.shape == Shape.NONE) {
-            points.push([x, y]);
+            if (this.isPressureSensitive)
+                points.push([x, y, widthRatio ? Math.round(this.line.lineWidth * widthRatio * 100) / 100 : points[points.length - 1][2]]);
+            else
+                points.push([x, y]);
             if (transform)
                 this._smooth(points.length - 1);
             
@@ -545,21 +760,25 @@ const _DrawingElement = GObject.registerClass({
             this.transformations.shift();
     }
     
-    startTransformation(startX, startY, type, undoable) {
+    // center is given when several elements are transformed together around the center of the selection.
+    startTransformation(startX, startY, type, center) {
         if (type == Transformation.TRANSLATION)
-            this.transformations.push({ startX, startY, type, undoable, slideX: 0, slideY: 0 });
+            this.transformations.push({ startX, startY, type, slideX: 0, slideY: 0 });
         else if (type == Transformation.ROTATION)
-            this.transformations.push({ startX, startY, type, undoable, angle: 0 });
+            this.transformations.push({ startX, startY, type, angle: 0 });
         else if (type == Transformation.SCALE_PRESERVE || type == Transformation.STRETCH)
-            this.transformations.push({ startX, startY, type, undoable, scaleX: 1, scaleY: 1, angle: 0 });
+            this.transformations.push({ startX, startY, type, scaleX: 1, scaleY: 1, angle: 0 });
         else if (type == Transformation.REFLECTION)
-            this.transformations.push({ startX, startY, endX: startX, endY: startY, type, undoable,
+            this.transformations.push({ startX, startY, endX: startX, endY: startY, type,
                                         scaleX:  1, scaleY:  1, slideX: 0, slideY: 0, angle: 0 });
         else if (type == Transformation.INVERSION)
-            this.transformations.push({ startX, startY, endX: startX, endY: startY, type, undoable,
+            this.transformations.push({ startX, startY, endX: startX, endY: startY, type,
                                         scaleX: -1, scaleY: -1, slideX: startX, slideY: startY,
                                         angle: Math.PI + Math.atan(startY / (startX || 1)) });
         
+        if (center && (type == Transformation.ROTATION || type == Transformation.SCALE_PRESERVE || type == Transformation.STRETCH))
+            this.lastTransformation.center = center;
+        
         if (type == Transformation.REFLECTION || type == Transformation.INVERSION)
             this.showSymmetryElement = true;
         else if (type == Transformation.ROTATION)
@@ -645,52 +864,6 @@ const _DrawingElement = GObject.registerClass({
         }
     }
     
-    undoTransformation() {
-        if (this.transformations && this.transformations.length) {
-            // Do not undo initial transformations (transformations made during the drawing step).
-            if (!this.lastTransformation.undoable)
-                return false;
-            
-            if (!this._undoneTransformations)
-                this._undoneTransformations = [];
-            
-            let transformation = this.transformations.pop();
-            if (transformation.type == Transformation.SMOOTH)
-                transformation.undo();
-            
-            this._undoneTransformations.push(transformation);
-            
-            return true;
-        }
-        
-        return false;
-    }
-    
-    redoTransformation() {
-        if (this._undoneTransformations && this._undoneTransformations.length) {
-            if (!this.transformations)
-                this.transformations = [];
-            
-            let transformation = this._undoneTransformations.pop();
-            if (transformation.type == Transformation.SMOOTH)
-                transformation.redo();
-            
-            this.transformations.push(transformation);
-            
-            return true;
-        }
-        
-        return false;
-    }
-    
-    resetUndoneTransformations() {
-        delete this._undoneTransformations;
-    }
-    
-    get canUndo() {
-        return this._undoneTransformations && this._undoneTransformations.length ? true : false;
-    }
-    
     // The figure rotation center before transformations (original).
     _getOriginalCenter() {
         if (!this._originalCenter) {
@@ -707,6 +880,9 @@ const _DrawingElement = GObject.registerClass({
     
     // The figure rotation center, whose position is affected by all transformations done before 'transformation'.
     _getTransformedCenter(transformation) {
+        if (transformation.center)
+            return transformation.center;
+        
         if (!transformation.elementTransformedCenter) {
             let matrix = new Pango.Matrix({ xx: 1, xy: 0, yx: 0, yy: 1, x0: 0, y0: 0 });
             
@@ -738,7 +914,7 @@ const _DrawingElement = GObject.registerClass({
     _smooth(i) {
         if (i < 2)
             return;
-        this.points[i-1] = [(this.points[i-2][0] + this.points[i][0]) / 2, (this.points[i-2][1] + this.points[i][1]) / 2];
+        this.points[i-1] = this.points[i-1].map((coord, index) => (this.points[i-2][index] + this.points[i][index]) / 2);
     }
 });
 
@@ -754,7 +930,7 @@ const TextElement = GObject.registerClass({
             shape: this.shape,
             color: this.color,
             eraser: this.eraser,
-            transformations: this.transformations,
+            transformations: this._savedTransformations,
             text: this.text,
             textAlignment: this.textAlignment,
             font: this.font.to_string(),
@@ -922,7 +1098,7 @@ const ImageElement = GObject.registerClass({
             shape: this.shape,
             color: this.color,
             colored: this.colored,
-            transformations: this.transformations,
+            transformations: this._savedTransformations,
             image: this.image,
             preserveAspectRatio: this.preserveAspectRatio,
             points: this.points.map((point) => [Math.round(point[0]*100)/100, Math.round(point[1]*100)/100])
@@ -987,6 +1163,480 @@ const ImageElement = GObject.registerClass({
     }
 });
 
+// Marker ids must be unique in the whole svg document.
+let arrowMarkerCount = 0;
+
+// Arrow heads are built in their own frame: the origin is the shaft end and the x axis points outward.
+const ArrowElement = GObject.registerClass({
+    GTypeName: `${UUID}-ArrowElement`,
+}, class ArrowElement extends _DrawingElement{
+
+    toJSON() {
+        return {
+            shape: this.shape,
+            color: this.color,
+            line: this.line,
+            dash: this.dash,
+            eraser: this.eraser,
+            arrowHeads: this.arrowHeads,
+            arrowHeadStyle: this.arrowHeadStyle,
+            transformations: this._savedTransformations,
+            points: this.points.map((point) => [Math.round(point[0]*100)/100, Math.round(point[1]*100)/100])
+        };
+    }
+
+    get headLength() {
+        return Math.max(this.line.lineWidth * ARROW_HEAD_RATIO, MIN_ARROW_HEAD_LENGTH);
+    }
+
+    // How much the shaft is shortened at each head, so a thick shaft does not stick out of filled heads.
+    get _shaftInset() {
+        return this.arrowHeadStyle == ArrowHeadStyle.FILLED ? this.headLength * Math.cos(ARROW_HEAD_ANGLE) :
+               this.arrowHeadStyle == ArrowHeadStyle.CIRCLE ? this.headLength / 3 :
+               0;
+    }
+
+    // The shaft ends and the directions the heads point to.
+    _getShaft() {
+        let [start, end] = this.points;
+        let angle = Math.atan2(end[1] - start[1], end[0] - start[0]);
+        let double = this.arrowHeads == ArrowHeads.DOUBLE;
+        let inset = Math.min(this._shaftInset, Math.hypot(end[0] - start[0], end[1] - start[1]) / (double ? 2 : 1));
+        let [dx, dy] = [inset * Math.cos(angle), inset * Math.sin(angle)];
+
+        let shaftStart = double ? [start[0] + dx, start[1] + dy] : start;
+        let shaftEnd = [end[0] - dx, end[1] - dy];
+        return [shaftStart, shaftEnd, angle];
+    }
+
+    _drawHead(cr, point, angle) {
+        let [length, opening] = [this.headLength, ARROW_HEAD_ANGLE];
+
+        cr.save();
+        cr.translate(point[0], point[1]);
+        cr.rotate(angle);
+
+        if (this.arrowHeadStyle == ArrowHeadStyle.FILLED) {
+            cr.moveTo(length * Math.cos(opening), 0);
+            cr.lineTo(0, - length * Math.sin(opening));
+            cr.lineTo(0, length * Math.sin(opening));
+            cr.closePath();
+            cr.fill();
+        } else if (this.arrowHeadStyle == ArrowHeadStyle.CIRCLE) {
+            cr.arc(0, 0, length / 3, 0, 2 * Math.PI);
+            cr.fill();
+        } else {
+            // Like in svg markers, open heads are never dashed.
+            cr.setDash([], 0);
+            cr.moveTo(- length * Math.cos(opening), - length * Math.sin(opening));
+            cr.lineTo(0, 0);
+            cr.lineTo(- length * Math.cos(opening), length * Math.sin(opening));
+            cr.stroke();
+        }
+
+        cr.restore();
+    }
+
+    // Heads are painted right away, only the shaft path is left to the caller.
+    _drawCairo(cr, params) {
+        if (this.points.length < 2)
+            return;
+
+        let [shaftStart, shaftEnd, angle] = this._getShaft();
+
+        this._drawHead(cr, shaftEnd, angle);
+        if (this.arrowHeads == ArrowHeads.DOUBLE)
+            this._drawHead(cr, shaftStart, angle + Math.PI);
+
+        cr.moveTo(shaftStart[0], shaftStart[1]);
+        cr.lineTo(shaftEnd[0], shaftEnd[1]);
+    }
+
+    _drawSvg(transAttribute, bgcolorString) {
+        if (this.points.length < 2)
+            return "";
+
+        let row = "\n  ";
+        let [shaftStart, shaftEnd] = this._getShaft().slice(0, 2).map(point => [Math.round(point[0]*100)/100, Math.round(point[1]*100)/100]);
+        let color = this.eraser ? bgcolorString : this.color.toJSON();
+        let attributes = this.eraser ? `class="eraser" ` : '';
+        attributes += `fill="none" stroke="${color}" stroke-width="${this.line.lineWidth}"`;
+        if (this.line.lineCap)
+            attributes += ` stroke-linecap="${getLineCapSvgName(this.line.lineCap)}"`;
+        if (this.dash && this.dash.active && this.dash.array && this.dash.array[0] && this.dash.array[1])
+            attributes += ` stroke-dasharray="${this.dash.array[0]} ${this.dash.array[1]}" stroke-dashoffset="${this.dash.offset}"`;
+
+        let length = this.headLength;
+        let [x, y] = [Math.round(length * Math.cos(ARROW_HEAD_ANGLE) * 100) / 100, Math.round(length * Math.sin(ARROW_HEAD_ANGLE) * 100) / 100];
+        let head = this.arrowHeadStyle == ArrowHeadStyle.FILLED ? `<path fill="${color}" d="M${x} 0 L 0 ${-y} L 0 ${y}z"/>` :
+                   this.arrowHeadStyle == ArrowHeadStyle.CIRCLE ? `<circle fill="${color}" cx="0" cy="0" r="${Math.round(length / 3 * 100) / 100}"/>` :
+                   `<path fill="none" stroke="${color}" stroke-width="${this.line.lineWidth}"` +
+                   ` stroke-linecap="${getLineCapSvgName(this.line.lineCap)}" stroke-linejoin="${getLineJoinSvgName(this.line.lineJoin)}"` +
+                   ` d="M${-x} ${-y} L 0 0 L ${-x} ${y}"/>`;
+
+        let id = `arrow-head-${arrowMarkerCount++}`;
+        row += `<defs><marker id="${id}" markerUnits="userSpaceOnUse" orient="auto-start-reverse" overflow="visible">${head}</marker></defs>`;
+        row += `\n  <path ${attributes} d="M${shaftStart[0]} ${shaftStart[1]} L ${shaftEnd[0]} ${shaftEnd[1]}"` +
+               ` marker-end="url(#${id})"${this.arrowHeads == ArrowHeads.DOUBLE ? ` marker-start="url(#${id})"` : ''}${transAttribute}/>`;
+
+        return row;
+    }
+});
+
+// A numbered step marker. points[0] is the center and points[1] is on the edge.
+const StampElement = GObject.registerClass({
+    GTypeName: `${UUID}-StampElement`,
+}, class StampElement extends _DrawingElement{
+
+    toJSON() {
+        return {
+            shape: this.shape,
+            color: this.color,
+            stampStyle: this.stampStyle,
+            number: this.number,
+            transformations: this._savedTransformations,
+            points: this.points.map((point) => [Math.round(point[0]*100)/100, Math.round(point[1]*100)/100])
+        };
+    }
+
+    get radius() {
+        return Math.hypot(this.points[1][0] - this.points[0][0], this.points[1][1] - this.points[0][1]);
+    }
+
+    // Black or white, whichever is more readable on the stamp color.
+    get _textColor() {
+        let luminance = 0.299 * this.color.red + 0.587 * this.color.green + 0.114 * this.color.blue;
+        return luminance > 150 ? StaticColor.BLACK : StaticColor.WHITE;
+    }
+
+    _addShapePath(cr, x, y, radius) {
+        if (this.stampStyle == StampStyle.ROUNDED_SQUARE) {
+            let corner = radius / 3;
+            cr.newSubPath();
+            cr.arc(x + radius - corner, y - radius + corner, corner, - Math.PI / 2, 0);
+            cr.arc(x + radius - corner, y + radius - corner, corner, 0, Math.PI / 2);
+            cr.arc(x - radius + corner, y + radius - corner, corner, Math.PI / 2, Math.PI);
+            cr.arc(x - radius + corner, y - radius + corner, corner, Math.PI, 3 * Math.PI / 2);
+            cr.closePath();
+        } else {
+            cr.arc(x, y, radius, 0, 2 * Math.PI);
+        }
+    }
+
+    _drawCairo(cr, params) {
+        if (this.points.length < 2)
+            return;
+
+        let [[x, y], radius] = [this.points[0], this.radius];
+
+        this._addShapePath(cr, x, y, radius);
+        cr.fill();
+
+        let layout = PangoCairo.create_layout(cr);
+        let font = Pango.FontDescription.from_string('Sans Bold');
+        font.set_absolute_size(radius * STAMP_FONT_RATIO * Pango.SCALE);
+        layout.set_font_description(font);
+        layout.set_text(String(this.number), -1);
+        let [, logicalRect] = layout.get_pixel_extents();
+
+        cr.save();
+        cr.setSourceColor(this._textColor);
+        cr.moveTo(x - logicalRect.x - logicalRect.width / 2, y - logicalRect.y - logicalRect.height / 2);
+        PangoCairo.show_layout(cr, layout);
+        cr.restore();
+
+        if (params.showElementBounds) {
+            cr.rectangle(x - radius, y - radius, 2 * radius, 2 * radius);
+            setDummyStroke(cr);
+        } else if (params.drawElementBounds) {
+            this._addShapePath(cr, x, y, radius);
+            // Only draw the shape to find the element, not to show it.
+            cr.setLineWidth(0);
+        }
+    }
+
+    getContainsPoint(cr, x, y) {
+        return cr.inFill(x, y);
+    }
+
+    _drawSvg(transAttribute) {
+        if (this.points.length < 2)
+            return "";
+
+        let row = "\n  ";
+        let [x, y] = this.points[0].map(coord => Math.round(coord * 100) / 100);
+        let radius = Math.round(this.radius * 100) / 100;
+        let color = this.color.toJSON();
+
+        row += `<g${transAttribute}>`;
+        if (this.stampStyle == StampStyle.ROUNDED_SQUARE)
+            row += `\n    <rect fill="${color}" x="${x - radius}" y="${y - radius}" width="${2 * radius}" height="${2 * radius}" ` +
+                   `rx="${Math.round(radius / 3 * 100) / 100}"/>`;
+        else
+            row += `\n    <circle fill="${color}" cx="${x}" cy="${y}" r="${radius}"/>`;
+        row += `\n    <text fill="${this._textColor.to_string().slice(0, 7)}" x="${x}" y="${y}" text-anchor="middle" dominant-baseline="central" ` +
+               `font-family="Sans" font-weight="bold" font-size="${Math.round(radius * STAMP_FONT_RATIO * 100) / 100}">${this.number}</text>`;
+        row += `\n  </g>`;
+
+        return row;
+    }
+
+    startDrawing(startX, startY) {
+        this.points.push([startX, startY]);
+        this.points.push([startX + DEFAULT_STAMP_RADIUS, startY]);
+    }
+
+    updateDrawing(x, y, transform) {
+        if (getNearness(this.points[0], [x, y], MIN_DRAWING_SIZE))
+            return;
+
+        this.points[1] = [x, y];
+    }
+
+    stopDrawing() {
+        if (this.radius < MIN_DRAWING_SIZE)
+            this.points[1] = [this.points[0][0] + DEFAULT_STAMP_RADIUS, this.points[0][1]];
+    }
+
+    _getOriginalCenter() {
+        if (!this._originalCenter)
+            this._originalCenter = [this.points[0][0], this.points[0][1]];
+
+        return this._originalCenter;
+    }
+});
+
+// A rectangle that hides what is underneath. The image is a downscaled capture of the screen region,
+// which is scaled up without interpolation to pixelate it or with interpolation to blur it.
+// It is missing in solid mode and until the capture is done.
+const RedactionElement = GObject.registerClass({
+    GTypeName: `${UUID}-RedactionElement`,
+}, class RedactionElement extends ImageElement {
+
+    toJSON() {
+        return {
+            shape: this.shape,
+            redactionMode: this.redactionMode,
+            transformations: this._savedTransformations,
+            image: this.image,
+            points: this.points.map((point) => [Math.round(point[0]*100)/100, Math.round(point[1]*100)/100])
+        };
+    }
+
+    get rectangle() {
+        let points = this.points;
+        return [Math.min(points[0][0], points[1][0]), Math.min(points[0][1], points[1][1]),
+                Math.abs(points[1][0] - points[0][0]), Math.abs(points[1][1] - points[0][1])];
+    }
+
+    _drawCairo(cr, params) {
+        if (this.points.length < 2)
+            return;
+
+        let [x, y, width, height] = this.rectangle;
+
+        if (width < 1 || height < 1)
+            return;
+
+        if (this.image) {
+            cr.save();
+            this.image.setCairoSource(cr, x, y, width, height, false, null,
+                                      this.redactionMode == RedactionMode.PIXELATE ? GdkPixbuf.InterpType.NEAREST : GdkPixbuf.InterpType.BILINEAR);
+            cr.rectangle(x, y, width, height);
+            cr.fill();
+            cr.restore();
+        } else if (this.redactionMode == RedactionMode.SOLID) {
+            cr.save();
+            cr.setSourceColor(StaticColor.BLACK);
+            cr.rectangle(x, y, width, height);
+            cr.fill();
+            cr.restore();
+        }
+
+        if (params.showElementBounds) {
+            cr.rectangle(x, y, width, height);
+            setDummyStroke(cr);
+        } else if (params.drawElementBounds) {
+            cr.rectangle(x, y, width, height);
+            // Only draw the rectangle to find the element, not to show it.
+            cr.setLineWidth(0);
+        }
+    }
+
+    _drawSvg(transAttribute) {
+        if (this.points.length < 2)
+            return "";
+
+        let row = "\n  ";
+        let [x, y, width, height] = this.rectangle.map(value => Math.round(value * 100) / 100);
+
+        if (this.image) {
+            let style = this.redactionMode == RedactionMode.PIXELATE ? ` style="image-rendering:pixelated"` : '';
+            row += `<image x="${x}" y="${y}" width="${width}" height="${height}"${transAttribute} preserveAspectRatio="none"${style} ` +
+                   `xlink:href="data:${this.image.contentType};base64,${this.image.base64}"/>`;
+        } else if (this.redactionMode == RedactionMode.SOLID) {
+            row += `<rect fill="black" x="${x}" y="${y}" width="${width}" height="${height}"${transAttribute}/>`;
+        }
+
+        return row;
+    }
+});
+
+// A group holds child elements, that keep their own transformations, and applies its own transformations on top of them.
+// Its path is the rectangle around its children, the children themselves being painted while building it.
+const GroupElement = GObject.registerClass({
+    GTypeName: `${UUID}-GroupElement`,
+}, class GroupElement extends _DrawingElement {
+
+    toJSON() {
+        return {
+            shape: this.shape,
+            transformations: this._savedTransformations,
+            children: this.children
+        };
+    }
+
+    // The children are painted the same way DrawingArea._repaintBack paints the elements.
+    buildCairo(cr, params) {
+        let extents = null;
+
+        this.children.forEach(child => {
+            cr.save();
+            this._applyTransformations(cr);
+            child.buildCairo(cr, { showElementBounds: params.showElementBounds, drawElementBounds: params.drawElementBounds });
+            extents = getExtentsUnion(extents, getPathExtents(cr, child));
+
+            if (child.fill && !child.isStraightLine) {
+                cr.fillPreserve();
+                if (child.shape == Shape.NONE || child.shape == Shape.LINE)
+                    cr.closePath();
+            }
+
+            cr.stroke();
+            cr.restore();
+        });
+
+        cr.identityMatrix();
+        if (!extents)
+            return;
+
+        cr.rectangle(extents[0], extents[1], extents[2] - extents[0], extents[3] - extents[1]);
+        if (params.showElementBounds) {
+            cr.setSourceColor(MARK_COLOR);
+            setDummyStroke(cr);
+        } else {
+            // Only draw the rectangle to find the group, not to show it.
+            cr.setLineWidth(0);
+        }
+    }
+
+    // The style of a group is the style of its children.
+    _getStyleChange(getStyle) {
+        let changes = this.children.map(child => child._getStyleChange(getStyle)).filter(change => change);
+        if (!changes.length)
+            return null;
+        
+        return { undo: () => changes.forEach(change => change.undo()),
+                 redo: () => changes.forEach(change => change.redo()) };
+    }
+
+    // Delegate to the children, in the coordinates of the group.
+    getContainsPoint(cr, x, y) {
+        return withDummyContext(dummyCr => {
+            this._applyTransformations(dummyCr);
+            [x, y] = dummyCr.deviceToUser(x, y);
+            dummyCr.identityMatrix();
+
+            return this.children.some(child => {
+                child.buildCairo(dummyCr, { drawElementBounds: true });
+                let inChild = child.getContainsPoint(dummyCr, x, y);
+                dummyCr.newPath();
+                return inChild;
+            });
+        });
+    }
+
+    _drawSvg(transAttribute, bgcolorString) {
+        let content = this.children.map(child => child.buildSVG(bgcolorString)).join('').replace(/\n/g, '\n  ');
+        return `\n  <g${transAttribute}>${content}\n  </g>`;
+    }
+
+    // The center of the rectangle around the children.
+    _getOriginalCenter() {
+        if (!this._originalCenter) {
+            let extents = withDummyContext(dummyCr => this.children.reduce((extents, child) => {
+                child.buildCairo(dummyCr, { showElementBounds: true });
+                extents = getExtentsUnion(extents, getPathExtents(dummyCr, child));
+                dummyCr.newPath();
+                return extents;
+            }, null)) || [0, 0, 0, 0];
+
+            this._originalCenter = [(extents[0] + extents[2]) / 2, (extents[1] + extents[3]) / 2];
+        }
+
+        return this._originalCenter;
+    }
+});
+
+// Call the callback with a context that paints nowhere, to build paths outside of repaints.
+const withDummyContext = function(callback) {
+    let surface = new Cairo.ImageSurface(Cairo.Format.ARGB32, 1, 1);
+    let cr = new Cairo.Context(surface);
+    let result = callback(cr);
+    cr.$dispose();
+    surface.finish();
+    return result;
+};
+
+// The extents of the current path, enlarged by the half line width of the element.
+export const getPathExtents = function(cr, element) {
+    let [x1, y1, x2, y2] = cr.pathExtents();
+    if (x1 == x2 && y1 == y2)
+        return null;
+
+    let margin = element.line ? element.line.lineWidth / 2 : 0;
+    return [x1 - margin, y1 - margin, x2 + margin, y2 + margin];
+};
+
+// The extents of an element, outside of a repaint.
+export const getElementExtents = function(element) {
+    return withDummyContext(cr => {
+        element.buildCairo(cr, { showElementBounds: true });
+        return getPathExtents(cr, element);
+    });
+};
+
+// Smoothing, recognition and style changes are not saved as transformations since they modify the element itself.
+const isSavedTransformation = function(transformation) {
+    return transformation.type != Transformation.SMOOTH && transformation.type != Transformation.RECOGNITION &&
+           transformation.type != Transformation.STYLE;
+};
+
+// An element is touched if the pointer is on it, with the same tolerance as for grabbing it.
+export const getElementContainsPoint = function(element, x, y) {
+    return withDummyContext(cr => {
+        element.buildCairo(cr, { drawElementBounds: true });
+        return element.getContainsPoint(cr, x, y);
+    });
+};
+
+// The ends of an open path, in area coordinates.
+export const getElementEndpoints = function(element) {
+    if (element.shape != Shape.NONE && element.shape != Shape.LINE && element.shape != Shape.POLYLINE && element.shape != Shape.ARROW ||
+        element.points.length < 2)
+        return [];
+
+    return withDummyContext(cr => {
+        element._applyTransformations(cr);
+        return [element.points[0], element.points[element.points.length - 1]].map(point => cr.userToDevice(point[0], point[1]));
+    });
+};
+
+// To compare style values.
+const getStyleString = function(value) {
+    return value instanceof Pango.FontDescription ? value.to_string() : JSON.stringify(value);
+};
+
 const setDummyStroke = function(cr) {
     cr.setLineWidth(2);
     cr.setLineCap(0);
@@ -998,6 +1648,126 @@ const getNearness = function(pointA, pointB, distance) {
     return Math.hypot(pointB[0] - pointA[0], pointB[1] - pointA[1]) < distance;
 };
 
+// The part of the segment that is inside the disc, as an interval of [0, 1], or null.
+const getSegmentDiscIntersection = function(segmentStart, segmentEnd, center, radius) {
+    let [dx, dy] = [segmentEnd[0] - segmentStart[0], segmentEnd[1] - segmentStart[1]];
+    let [fx, fy] = [segmentStart[0] - center[0], segmentStart[1] - center[1]];
+    let a = dx * dx + dy * dy;
+    if (a == 0)
+        return getNearness(segmentStart, center, radius) ? [0, 1] : null;
+    
+    let b = 2 * (fx * dx + fy * dy);
+    let c = fx * fx + fy * fy - radius * radius;
+    let discriminant = b * b - 4 * a * c;
+    if (discriminant <= 0)
+        return null;
+    
+    let t0 = (-b - Math.sqrt(discriminant)) / (2 * a);
+    let t1 = (-b + Math.sqrt(discriminant)) / (2 * a);
+    if (t1 <= 0 || t0 >= 1)
+        return null;
+    
+    return [Math.max(t0, 0), Math.min(t1, 1)];
+};
+
+const getDistanceToSegment = function(point, segmentStart, segmentEnd) {
+    let [dx, dy] = [segmentEnd[0] - segmentStart[0], segmentEnd[1] - segmentStart[1]];
+    let t = dx || dy ? ((point[0] - segmentStart[0]) * dx + (point[1] - segmentStart[1]) * dy) / (dx * dx + dy * dy) : 0;
+    t = Math.min(Math.max(0, t), 1);
+    return Math.hypot(point[0] - segmentStart[0] - t * dx, point[1] - segmentStart[1] - t * dy);
+};
+
+// https://en.wikipedia.org/wiki/Ramer%E2%80%93Douglas%E2%80%93Peucker_algorithm
+const getSimplifiedPoints = function(points, tolerance) {
+    let [first, last] = [points[0], points[points.length - 1]];
+    let [maxDistance, index] = [0, 0];
+    for (let i = 1; i < points.length - 1; i++) {
+        let distance = getDistanceToSegment(points[i], first, last);
+        if (distance > maxDistance)
+            [maxDistance, index] = [distance, i];
+    }
+    
+    if (maxDistance <= tolerance)
+        return [first, last];
+    
+    return getSimplifiedPoints(points.slice(0, index + 1), tolerance).slice(0, -1)
+           .concat(getSimplifiedPoints(points.slice(index), tolerance));
+};
+
+// Return [shape, points] for the clean shape that matches the points of a free drawing, or null.
+const getRecognizedShape = function(points) {
+    if (points.length < 3)
+        return null;
+    
+    let length = 0;
+    for (let i = 1; i < points.length; i++)
+        length += Math.hypot(points[i][0] - points[i-1][0], points[i][1] - points[i-1][1]);
+    if (length < MIN_RECOGNITION_SIZE)
+        return null;
+    
+    let [first, last] = [points[0], points[points.length - 1]];
+    let gap = Math.hypot(last[0] - first[0], last[1] - first[1]);
+    if (gap > LINE_RECOGNITION_STRAIGHTNESS * length)
+        return [Shape.LINE, [first.slice(0, 2), last.slice(0, 2)]];
+    
+    // Other shapes are closed.
+    if (gap > CLOSED_RECOGNITION_GAP * length)
+        return null;
+    
+    let [xs, ys] = [points.map(point => point[0]), points.map(point => point[1])];
+    let [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    let [radiusX, radiusY] = [(maxX - minX) / 2, (maxY - minY) / 2];
+    let [centerX, centerY] = [minX + radiusX, minY + radiusY];
+    if (Math.min(radiusX, radiusY) * 2 < MIN_DRAWING_SIZE)
+        return null;
+    
+    // Mean deviations, relative to the radii.
+    let ellipseError = points.reduce((sum, point) => {
+        return sum + Math.abs(Math.hypot((point[0] - centerX) / radiusX, (point[1] - centerY) / radiusY) - 1);
+    }, 0) / points.length;
+    let rectangleError = points.reduce((sum, point) => {
+        return sum + Math.min(point[0] - minX, maxX - point[0], point[1] - minY, maxY - point[1]);
+    }, 0) / points.length / Math.min(radiusX, radiusY);
+    
+    if (ellipseError <= rectangleError && ellipseError < SHAPE_RECOGNITION_TOLERANCE)
+        return [Shape.ELLIPSE, [[centerX, centerY], [centerX, centerY + radiusY], [centerX + radiusX, centerY]]];
+    if (rectangleError < ellipseError && rectangleError < SHAPE_RECOGNITION_TOLERANCE)
+        return [Shape.RECTANGLE, [[minX, minY], [maxX, maxY]]];
+    
+    let tolerance = POLYGON_RECOGNITION_TOLERANCE * Math.max(radiusX, radiusY) * 2;
+    let vertices = getSimplifiedPoints(points.concat([first]), tolerance).slice(0, -1);
+    // The start of the stroke is always kept by the simplification, even in the middle of a side.
+    vertices = vertices.filter((vertex, index) => {
+        let [previous, next] = [vertices[(index + vertices.length - 1) % vertices.length], vertices[(index + 1) % vertices.length]];
+        return index != 0 || getDistanceToSegment(vertex, previous, next) > tolerance;
+    });
+    
+    if (vertices.length < 3 || vertices.length > MAX_POLYGON_VERTICES)
+        return null;
+    
+    return [Shape.POLYGON, vertices.map(vertex => vertex.slice(0, 2))];
+};
+
+// A stroke whose width varies is the union of a disc at each point and a quadrilateral along each segment.
+// All the subpaths turn in the same direction, so they merge with the nonzero fill rule.
+const getPressureOutline = function(points) {
+    let discs = points.map(point => [point[0], point[1], point[2] / 2]);
+    let quads = [];
+    
+    for (let i = 1; i < discs.length; i++) {
+        let [[x0, y0, r0], [x1, y1, r1]] = [discs[i - 1], discs[i]];
+        let distance = Math.hypot(x1 - x0, y1 - y0);
+        // One disc contains the other.
+        if (distance <= Math.abs(r1 - r0))
+            continue;
+        
+        let [nx, ny] = [(y0 - y1) / distance, (x1 - x0) / distance];
+        quads.push([[x0 + nx * r0, y0 + ny * r0], [x0 - nx * r0, y0 - ny * r0], [x1 - nx * r1, y1 - ny * r1], [x1 + nx * r1, y1 + ny * r1]]);
+    }
+    
+    return [discs, quads];
+};
+
 // mean of the vertices, ok for regular polygons
 const getNaiveCenter = function(points) {
     return points.reduce((accumulator, point) => accumulator = [accumulator[0] + point[0], accumulator[1] + point[1]])
@@ -1079,4 +1849,3 @@ const getAngle = function(xO, yO, xA, yA, xB, yB) {
     
     return angle;
 };
-
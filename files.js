@@ -19,7 +19,9 @@
  */
 
 /* jslint esversion: 6 */
-/* exported Icons, Image, Images, Json, Jsons, getDateString, saveSvg */
+/* exported Icons, Image, Images, Json, Jsons, getDateString, savePdf, savePng, saveSvg */
+
+import Cairo from 'cairo';
 
 import Gdk from 'gi://Gdk';
 import GdkPixbuf from 'gi://GdkPixbuf';
@@ -30,24 +32,34 @@ import St from 'gi://St';
 
 import { CURATED_UUID as UUID } from './utils.js';
 
+const RECENT_FILES_MAX = 10;
+
+// The drawing that is kept over toggles and restarts, always in the data directory.
+const getPersistentFile = function(extension) {
+    return Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_data_dir(), extension.metadata['data-dir'], `${extension.metadata['persistent-file-name']}.json`]));
+};
+
 
 
 class Icons {
 
     constructor(extension) {
         const ICON_NAMES = [
-            'arc', 'color', 'dashed-line', 'document-export', 'fillrule-evenodd', 'fillrule-nonzero', 'fill', 'full-line', 'linecap', 'linejoin', 'palette', 'smooth', 'stroke',
-            'tool-ellipse', 'tool-line', 'tool-mirror', 'tool-move', 'tool-none', 'tool-polygon', 'tool-polyline', 'tool-rectangle', 'tool-resize',
+            'arc', 'color', 'dashed-line', 'document-export', 'fillrule-evenodd', 'fillrule-nonzero', 'fill', 'full-line', 'linecap', 'linejoin', 'palette', 'recognize', 'smooth', 'stroke',
+            'tool-arrow', 'tool-ellipse', 'tool-highlighter', 'tool-laser', 'tool-line', 'tool-mirror', 'tool-move', 'tool-none', 'tool-object-eraser', 'tool-polygon', 'tool-polyline', 'tool-rectangle', 'tool-redaction', 'tool-resize', 'tool-stamp', 'tool-stroke-eraser',
         ];
         const ICON_DIR = extension.dir.get_child('data').get_child('icons');
         const THEMED_ICON_NAMES = {
             COLOR_PICKER: 'color-select-symbolic',
             ENTER: 'applications-graphics', LEAVE: 'application-exit',
             GRAB: 'input-touchpad', UNGRAB: 'touchpad-disabled',
-            OPEN: 'document-open', SAVE: 'document-save',
+            OPEN: 'document-open', SAVE: 'document-save', COPY: 'edit-copy', CUT: 'edit-cut', PASTE: 'edit-paste',
+            SPOTLIGHT: 'display-brightness',
             FONT_FAMILY: 'font-x-generic', FONT_STYLE: 'format-text-italic', FONT_WEIGHT: 'format-text-bold',
             LEFT_ALIGNED: 'format-justify-left', CENTERED: 'format-justify-center', RIGHT_ALIGNED: 'format-justify-right',
             TOOL_IMAGE: 'insert-image', TOOL_TEXT: 'insert-text',
+            RAISE: 'go-up', LOWER: 'go-down', RAISE_TO_TOP: 'go-top', LOWER_TO_BOTTOM: 'go-bottom',
+            ERASE: 'edit-clear-all', ERASE_ALL: 'edit-delete', GROUP: 'view-grid', HISTORY: 'document-open-recent',
         };
         ICON_NAMES.forEach(name => {
             Object.defineProperty(this, name.toUpperCase().replace(/-/gi, '_'), {
@@ -244,21 +256,41 @@ class Jsons {
             this._monitor.disconnect(this._monitorHandler);
             this._monitor.cancel();
         }
+        if (this._settingHandler)
+            this._extension.drawingSettings.disconnect(this._settingHandler);
 
         delete this._monitor;
+        delete this._settingHandler;
         delete this._persistent;
 
         this._jsons = [];
         this._upToDate = false;
     }
 
+    // The directory that was configured by the user in prefs, or the data directory.
+    get directory() {
+        let location = this._extension.drawingSettings.get_string('drawing-location');
+        return location ? Gio.File.new_for_commandline_arg(location)
+            : Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_data_dir(), this._extension.metadata['data-dir']]));
+    }
+
     _updateMonitor() {
+        if (!this._settingHandler) {
+            this._settingHandler = this._extension.drawingSettings.connect('changed::drawing-location', () => {
+                if (this._monitor) {
+                    this._monitor.disconnect(this._monitorHandler);
+                    this._monitor.cancel();
+                    delete this._monitor;
+                }
+                this.reset();
+            });
+        }
+
         if (this._monitor)
             return;
-        let directory = Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_data_dir(), this._extension.metadata['data-dir']]));
         // It is important to specify that the file to monitor is a directory because maybe the directory does not exist yet
         // and remove events would not be monitored.
-        this._monitor = directory.monitor_directory(Gio.FileMonitorFlags.NONE, null);
+        this._monitor = this.directory.monitor_directory(Gio.FileMonitorFlags.NONE, null);
         this._monitorHandler = this._monitor.connect('changed', (monitor, file) => {
             if (file.get_basename() != `${this._extension.metadata['persistent-file-name']}.json` && file.get_basename().indexOf('.goutputstream'))
                 this.reset();
@@ -273,12 +305,13 @@ class Jsons {
         this._upToDate = true;
         let newJsons = this._jsons = [];
         const extension = this._extension;
+        const directory = this.directory;
+        const persistentFile = getPersistentFile(extension);
 
         return {
             get enumerator() {
                 if (this._enumerator === undefined) {
                     try {
-                        let directory = Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_data_dir(), extension.metadata['data-dir']]));
                         this._enumerator = directory.enumerate_children('standard::name,standard::display-name,standard::content-type,time::modified', Gio.FileQueryInfoFlags.NONE, null);
                     } catch (e) {
                         this._enumerator = null;
@@ -299,8 +332,8 @@ class Jsons {
 
                 let file = this.enumerator.get_child(info);
 
-                if (info.get_content_type().indexOf('json') != -1 && info.get_name() != `${extension.metadata['persistent-file-name']}.json`) {
-                    let json = new Json(this._extension, {
+                if (info.get_content_type().indexOf('json') != -1 && !file.equal(persistentFile)) {
+                    let json = new Json(extension, {
                         file, name: info.get_name().slice(0, -5),
                         displayName: info.get_display_name().slice(0, -5),
                         // info.get_modification_date_time: Gio 2.62+
@@ -322,29 +355,58 @@ class Jsons {
 
     getNext(currentJson) {
         let jsons = this.getSorted();
-        let index = currentJson ? jsons.findIndex(json => json.name == currentJson.name) : -1;
+        let index = currentJson ? jsons.findIndex(json => json.file.equal(currentJson.file)) : -1;
         return jsons[index == jsons.length - 1 ? 0 : index + 1] || null;
     }
 
     getPrevious(currentJson) {
         let jsons = this.getSorted();
-        let index = currentJson ? jsons.findIndex(json => json.name == currentJson.name) : -1;
+        let index = currentJson ? jsons.findIndex(json => json.file.equal(currentJson.file)) : -1;
         return jsons[index <= 0 ? jsons.length - 1 : index - 1] || null;
     }
 
     getPersistent() {
         if (!this._persistent)
-            this._persistent = new Json(this._extension, { name: this._extension.metadata['persistent-file-name'] });
+            this._persistent = new Json(this._extension, { name: this._extension.metadata['persistent-file-name'], file: getPersistentFile(this._extension) });
 
         return this._persistent;
     }
 
     getDated() {
-        return new Json(this._extension, { name: getDateString() });
+        let name = getDateString();
+        return new Json(this._extension, { name, file: this.directory.get_child(`${name}.json`) });
     }
 
     getNamed(name) {
-        return [...this].find(json => json.name == name) || new Json(this._extension, { name });
+        return [...this].find(json => json.name == name) || new Json(this._extension, { name, file: this.directory.get_child(`${name}.json`) });
+    }
+
+    // "path" is typed by the user. It may start with "~" and it is relative to the drawing directory if it is not absolute.
+    getFileForPath(path) {
+        path = path.replace(/^~(?=\/|$)/, GLib.get_home_dir());
+        return GLib.path_is_absolute(path) ? Gio.File.new_for_path(path) : this.directory.resolve_relative_path(path);
+    }
+
+    getForPath(path) {
+        return this.getForFile(this.getFileForPath(path.endsWith('.json') ? path : `${path}.json`));
+    }
+
+    getForFile(file) {
+        return [...this].find(json => json.file.equal(file)) || new Json(this._extension, { file, name: file.get_basename().replace(/\.json$/, '') });
+    }
+
+    // Recent files are the drawing and SVG files that were opened or saved with a path, most recent first.
+    getRecent() {
+        return this._extension.drawingSettings.get_strv('recent-files')
+            .map(path => Gio.File.new_for_path(path))
+            .filter(file => file.query_exists(null));
+    }
+
+    addRecent(file) {
+        let path = file.get_path();
+        let paths = this._extension.drawingSettings.get_strv('recent-files').filter(recentPath => recentPath != path);
+        paths.unshift(path);
+        this._extension.drawingSettings.set_strv('recent-files', paths.slice(0, RECENT_FILES_MAX));
     }
 
     reset() {
@@ -447,9 +509,9 @@ export const Image = GObject.registerClass({
         return pixbuf;
     }
 
-    setCairoSource(cr, x, y, width, height, preserveAspectRatio, color) {
+    setCairoSource(cr, x, y, width, height, preserveAspectRatio, color, interpType = GdkPixbuf.InterpType.BILINEAR) {
         let pixbuf = preserveAspectRatio ? this.getPixbufAtScale(width, height, color)
-            : this.getPixbuf(color).scale_simple(width, height, GdkPixbuf.InterpType.BILINEAR);
+            : this.getPixbuf(color).scale_simple(width, height, interpType);
         Gdk.cairo_set_source_pixbuf(cr, pixbuf, x, y);
     }
 
@@ -552,7 +614,7 @@ export const Json = new GObject.registerClass({
     }
 
     get isPersistent() {
-        return this.name == this._extension.metadata['persistent-file-name'];
+        return this.file.equal(getPersistentFile(this._extension));
     }
 
     toString() {
@@ -564,8 +626,6 @@ export const Json = new GObject.registerClass({
     }
 
     get file() {
-        if (!this._file)
-            this._file = Gio.File.new_for_path(GLib.build_filenamev([GLib.get_user_data_dir(), this._extension.metadata['data-dir'], `${this.name}.json`]));
         return this._file;
     }
 
@@ -634,12 +694,16 @@ export class Files {
         this.JSONS = new Jsons(extension);
     }
 
-    saveSvg(content) {
-        let filename = `${this._extension.metadata['svg-file-name']} ${getDateString()}.svg`;
+    _getExportFile(extension) {
+        let filename = `${this._extension.metadata['svg-file-name']} ${getDateString()}.${extension}`;
         let dir = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_PICTURES);
-        let path = GLib.build_filenamev([dir, filename]);
-        let file = Gio.File.new_for_path(path);
-        if (file.query_exists(null))
+        let file = Gio.File.new_for_path(GLib.build_filenamev([dir, filename]));
+        return file.query_exists(null) ? null : file;
+    }
+
+    saveSvg(content) {
+        let file = this._getExportFile('svg');
+        if (!file)
             return false;
 
         try {
@@ -648,4 +712,44 @@ export class Files {
             return false;
         }
     }
+
+    // "paint" draws all the pages on the context and calls "showPage" after each one.
+    // The file is removed if the painting fails, rather than leaving a truncated PDF.
+    savePdf(width, height, paint) {
+        let file = this._getExportFile('pdf');
+        if (!file)
+            return false;
+
+        let surface = null;
+        let success = false;
+        try {
+            surface = new Cairo.PDFSurface(file.get_path(), width, height);
+            let cr = new Cairo.Context(surface);
+            paint(cr);
+            cr.$dispose();
+            success = true;
+        } catch (e) {
+            log(`${this._extension.metadata.uuid}: PDF export failed: ${e.message}`);
+        } finally {
+            surface?.finish();
+            if (!success && file.query_exists(null))
+                file.delete(null);
+        }
+        return success;
+    }
+
+    // surface is a Cairo.ImageSurface
+    // Returns the written file (it may be copied to the clipboard afterwards) or null.
+    savePng(surface) {
+        let file = this._getExportFile('png');
+        if (!file)
+            return null;
+
+        try {
+            surface.writeToPNG(file.get_path());
+            return file;
+        } catch (e) {
+            return null;
+        }
+    }
 }
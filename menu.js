@@ -51,6 +51,19 @@ const WARNING_COLOR_STYLE_CLASS_NAME = 'login-dialog-message-warning';
 
 // Used by both menu and osd notifications.
 export const DisplayStrings = {
+    get ArrowHeads() {
+        if (!this._ArrowHeads)
+            this._ArrowHeads = { 0: pgettext("arrow-heads", "Single head"), 1: pgettext("arrow-heads", "Double head") };
+        return this._ArrowHeads;
+    },
+    
+    get ArrowHeadStyle() {
+        if (!this._ArrowHeadStyle)
+            this._ArrowHeadStyle = { 0: pgettext("arrow-head-style", "Open head"), 1: pgettext("arrow-head-style", "Filled head"),
+                                     2: pgettext("arrow-head-style", "Circle head") };
+        return this._ArrowHeadStyle;
+    },
+    
     getDashedLine: function(dashed) {
         return dashed ? _("Dashed line") :
                         // Translators: as the alternative to "Dashed line"
@@ -63,6 +76,19 @@ export const DisplayStrings = {
                       _("Outline");
     },
     
+    get RedactionMode() {
+        if (!this._RedactionMode)
+            this._RedactionMode = { 0: pgettext("redaction-mode", "Pixelate"), 1: pgettext("redaction-mode", "Blur"),
+                                    2: pgettext("redaction-mode", "Solid box") };
+        return this._RedactionMode;
+    },
+    
+    get StampStyle() {
+        if (!this._StampStyle)
+            this._StampStyle = { 0: pgettext("stamp-style", "Circle"), 1: pgettext("stamp-style", "Rounded square") };
+        return this._StampStyle;
+    },
+    
     get FillRule() {
         if (!this._FillRule)
             // Translators: fill-rule SVG attribute
@@ -98,6 +124,21 @@ export const DisplayStrings = {
         return this._FontWeight;
     },
     
+    get HistoryCommand() {
+        if (!this._HistoryCommand)
+            // Translators: actions listed in the history menu
+            this._HistoryCommand = { initial: pgettext("history-command", "Initial state"), duplicate: pgettext("history-command", "Duplicate"),
+                                     smooth: pgettext("history-command", "Smooth"), recognize: pgettext("history-command", "Recognize shape"),
+                                     style: pgettext("history-command", "Change style"), delete: pgettext("history-command", "Erase last element"),
+                                     erase: pgettext("history-command", "Erase all"), open: pgettext("history-command", "Open drawing"),
+                                     group: pgettext("history-command", "Group"), ungroup: pgettext("history-command", "Ungroup"),
+                                     raise: pgettext("history-command", "Raise"), lower: pgettext("history-command", "Lower"),
+                                     raiseToTop: pgettext("history-command", "Raise to top"), lowerToBottom: pgettext("history-command", "Lower to bottom"),
+                                     rotate: pgettext("history-command", "Rotate"), cut: pgettext("history-command", "Cut"),
+                                     paste: pgettext("history-command", "Paste"), importSvg: pgettext("history-command", "Import SVG") };
+        return this._HistoryCommand;
+    },
+    
     get LineCap() {
         if (!this._LineCap)
             // Translators: stroke-linecap SVG attribute
@@ -129,7 +170,10 @@ export const DisplayStrings = {
         if (!this._Tool)
             this._Tool = { 0: pgettext("drawing-tool", "Free drawing"), 1: pgettext("drawing-tool", "Line"), 2: pgettext("drawing-tool", "Ellipse"),
                            3: pgettext("drawing-tool", "Rectangle"), 4: pgettext("drawing-tool", "Text"), 5: pgettext("drawing-tool", "Polygon"),
-                           6: pgettext("drawing-tool", "Polyline"), 7: pgettext("drawing-tool", "Image"),
+                           6: pgettext("drawing-tool", "Polyline"), 7: pgettext("drawing-tool", "Image"), 8: pgettext("drawing-tool", "Arrow"),
+                           9: pgettext("drawing-tool", "Stamp"), 10: pgettext("drawing-tool", "Redaction"),
+                           50: pgettext("drawing-tool", "Highlighter"), 51: pgettext("drawing-tool", "Laser pointer"),
+                           60: pgettext("drawing-tool", "Object eraser"), 61: pgettext("drawing-tool", "Stroke eraser"),
                            100: pgettext("drawing-tool", "Move"), 101: pgettext("drawing-tool", "Resize"), 102: pgettext("drawing-tool", "Mirror") };
         return this._Tool;
     }
@@ -233,12 +277,27 @@ export const DrawingMenu = GObject.registerClass({
         this.redoButton = new ActionButton(this._getSummary('redo'), 'edit-redo-symbolic', this.area.redo.bind(this.area), this._updateActionSensitivity.bind(this));
         this.eraseButton = new ActionButton(_("Erase"), 'edit-clear-all-symbolic', this.area.deleteLastElement.bind(this.area), this._updateActionSensitivity.bind(this));
         this.smoothButton = new ActionButton(_("Smooth"), this._extension.FILES.ICONS.SMOOTH, this.area.smoothLastElement.bind(this.area), this._updateActionSensitivity.bind(this));
+        this.recognizeButton = new ActionButton(_("Recognize shape"), this._extension.FILES.ICONS.RECOGNIZE, this.area.recognizeLastElement.bind(this.area), this._updateActionSensitivity.bind(this));
         this.eraseButton.child.add_style_class_name('draw-on-your-screen-menu-destructive-button');
         this._getActor(groupItem).add_child(this.undoButton);
         this._getActor(groupItem).add_child(this.redoButton);
         this._getActor(groupItem).add_child(this.eraseButton);
         this._getActor(groupItem).add_child(this.smoothButton);
+        this._getActor(groupItem).add_child(this.recognizeButton);
         this.menu.addMenuItem(groupItem);
+
+        groupItem = new PopupMenu.PopupBaseMenuItem({ reactive: false, can_focus: false, style_class: 'draw-on-your-screen-menu-group-item' });
+        this.raiseToTopButton = new ActionButton(this._getSummary('raise-element-to-top'), this._extension.FILES.ICONS.RAISE_TO_TOP, this.area.raiseElementsToTop.bind(this.area), this._updateActionSensitivity.bind(this));
+        this.raiseButton = new ActionButton(this._getSummary('raise-element'), this._extension.FILES.ICONS.RAISE, this.area.raiseElements.bind(this.area), this._updateActionSensitivity.bind(this));
+        this.lowerButton = new ActionButton(this._getSummary('lower-element'), this._extension.FILES.ICONS.LOWER, this.area.lowerElements.bind(this.area), this._updateActionSensitivity.bind(this));
+        this.lowerToBottomButton = new ActionButton(this._getSummary('lower-element-to-bottom'), this._extension.FILES.ICONS.LOWER_TO_BOTTOM, this.area.lowerElementsToBottom.bind(this.area), this._updateActionSensitivity.bind(this));
+        this._getActor(groupItem).add_child(this.raiseToTopButton);
+        this._getActor(groupItem).add_child(this.raiseButton);
+        this._getActor(groupItem).add_child(this.lowerButton);
+        this._getActor(groupItem).add_child(this.lowerToBottomButton);
+        this.menu.addMenuItem(groupItem);
+        this.historyItem = this._addHistorySubMenuItem(this.menu, this._extension.FILES.ICONS.HISTORY);
+        this.transformItem = this._addTransformSubMenuItem(this.menu, this._extension.FILES.ICONS.TOOL_RESIZE);
         this._addSeparator(this.menu, true);
         
         this.toolItem = this._addToolSubMenuItem(this.menu, this._updateSectionVisibility.bind(this));
@@ -261,6 +320,28 @@ export const DrawingMenu = GObject.registerClass({
         lineSection.itemActivated = () => {};
         this.lineSection = lineSection;
         
+        let arrowSection = new PopupMenu.PopupMenuSection();
+        this._addSubMenuItem(arrowSection, this._extension.FILES.ICONS.TOOL_ARROW, DisplayStrings.ArrowHeads, this.area, 'currentArrowHeads');
+        this._addSubMenuItem(arrowSection, this._extension.FILES.ICONS.TOOL_ARROW, DisplayStrings.ArrowHeadStyle, this.area, 'currentArrowHeadStyle');
+        this._addSeparator(arrowSection);
+        this.menu.addMenuItem(arrowSection);
+        arrowSection.itemActivated = () => {};
+        this.arrowSection = arrowSection;
+        
+        let stampSection = new PopupMenu.PopupMenuSection();
+        this._addSubMenuItem(stampSection, this._extension.FILES.ICONS.TOOL_STAMP, DisplayStrings.StampStyle, this.area, 'currentStampStyle');
+        this._addSeparator(stampSection);
+        this.menu.addMenuItem(stampSection);
+        stampSection.itemActivated = () => {};
+        this.stampSection = stampSection;
+        
+        let redactionSection = new PopupMenu.PopupMenuSection();
+        this._addSubMenuItem(redactionSection, this._extension.FILES.ICONS.TOOL_REDACTION, DisplayStrings.RedactionMode, this.area, 'currentRedactionMode');
+        this._addSeparator(redactionSection);
+        this.menu.addMenuItem(redactionSection);
+        redactionSection.itemActivated = () => {};
+        this.redactionSection = redactionSection;
+        
         let fontSection = new PopupMenu.PopupMenuSection();
         this._addFontFamilySubMenuItem(fontSection, this._extension.FILES.ICONS.FONT_FAMILY);
         this._addSubMenuItem(fontSection, this._extension.FILES.ICONS.FONT_WEIGHT, DisplayStrings.FontWeight, this.area, 'currentFontWeight');
@@ -281,6 +362,9 @@ export const DrawingMenu = GObject.registerClass({
         this._addSimpleSwitchItem(this.menu, this._getSummary('toggle-panel-and-dock-visibility'), !!this.areaManagerUtils.getHiddenList(), this.areaManagerUtils.togglePanelAndDockOpacity);
         this._addSimpleSwitchItem(this.menu, this._getSummary('toggle-background'), this.area.hasBackground, this.area.toggleBackground.bind(this.area));
         this._addSimpleSwitchItem(this.menu, this._getSummary('toggle-grid'), this.area.hasGrid, this.area.toggleGrid.bind(this.area));
+        this._addSimpleSwitchItem(this.menu, this._getSummary('toggle-snapping'), this.area.hasSnapping, this.area.toggleSnapping.bind(this.area));
+        this._addSimpleSwitchItem(this.menu, this._getSummary('toggle-spotlight'), this.area.hasSpotlight, this.area.toggleSpotlight.bind(this.area));
+        this._addSimpleSwitchItem(this.menu, this._getSummary('toggle-magnifier'), this.area.hasMagnifier, this.area.toggleMagnifier.bind(this.area));
         this._addSimpleSwitchItem(this.menu, this._getSummary('toggle-square-area'), this.area.isSquareArea, this.area.toggleSquareArea.bind(this.area));
         this._addSeparator(this.menu);
         
@@ -292,10 +376,14 @@ export const DrawingMenu = GObject.registerClass({
         groupItem = new PopupMenu.PopupBaseMenuItem({ reactive: false, can_focus: false, style_class: 'draw-on-your-screen-menu-group-item' });
         this.saveButton = new ActionButton(this._getSummary('save-as-json'), 'document-save-symbolic', this.area.saveAsJson.bind(this.area, false, this._onDrawingSaved.bind(this)), null);
         this.svgButton = new ActionButton(this._getSummary('export-to-svg'), this._extension.FILES.ICONS.DOCUMENT_EXPORT, this.area.exportToSvg.bind(this.area), null);
+        this.pngButton = new ActionButton(this._getSummary('export-to-png'), 'image-x-generic-symbolic', this.area.exportToPng.bind(this.area), null);
+        this.copyImageButton = new ActionButton(this._getSummary('copy-image'), 'edit-copy-symbolic', this.area.copyImage.bind(this.area), null);
         this.prefsButton = new ActionButton(this._getSummary('open-preferences'), 'document-page-setup-symbolic', this.areaManagerUtils.openPreferences, null);
         this.helpButton = new ActionButton(this._getSummary('toggle-help'), 'preferences-desktop-keyboard-shortcuts-symbolic', () => { this.close(); this.area.toggleHelp(); }, null);
         this._getActor(groupItem).add_child(this.saveButton);
         this._getActor(groupItem).add_child(this.svgButton);
+        this._getActor(groupItem).add_child(this.pngButton);
+        this._getActor(groupItem).add_child(this.copyImageButton);
         this._getActor(groupItem).add_child(this.prefsButton);
         this._getActor(groupItem).add_child(this.helpButton);
         this.menu.addMenuItem(groupItem);
@@ -305,22 +393,39 @@ export const DrawingMenu = GObject.registerClass({
     }
     
     _updateActionSensitivity() {
-        this.undoButton.child.reactive = this.area.elements.length > 0;
-        this.redoButton.child.reactive = this.area.undoneElements.length > 0 || (this.area.elements.length && this.area.elements[this.area.elements.length - 1].canUndo);
+        this.undoButton.child.reactive = this.area.history.canUndo;
+        this.redoButton.child.reactive = this.area.history.canRedo;
+        this.historyItem.setSensitive(this.area.history.root.children.length > 0);
+        this.transformItem.setSensitive(Boolean(this.area.targetExtents));
         this.eraseButton.child.reactive = this.area.elements.length > 0;
         this.smoothButton.child.reactive = this.area.elements.length > 0 && this.area.elements[this.area.elements.length - 1].shape == this.DrawingTool.NONE;
+        this.recognizeButton.child.reactive = this.smoothButton.child.reactive;
+        // The grabbed element is released when the menu opens, so only the selection can be reordered from the menu.
+        [this.raiseToTopButton, this.raiseButton, this.lowerButton, this.lowerToBottomButton].forEach(button => {
+            button.child.reactive = this.area.selectedElements.length > 0 && this.area.selectedElements.length < this.area.elements.length;
+        });
         this.saveButton.child.reactive = this.area.elements.length > 0;
         this.svgButton.child.reactive = this.area.elements.length > 0;
+        this.pngButton.child.reactive = this.area.elements.length > 0;
+        this.copyImageButton.child.reactive = this.area.elements.length > 0;
         this.saveDrawingSubMenuItem.setSensitive(this.area.elements.length > 0);
     }
     
     _updateSectionVisibility() {
         let [isText, isImage] = [this.area.currentTool == this.DrawingTool.TEXT, this.area.currentTool == this.DrawingTool.IMAGE];
-        this.lineSection.actor.visible = !isText && !isImage;
+        let isArrow = this.area.currentTool == this.DrawingTool.ARROW;
+        let isStamp = this.area.currentTool == this.DrawingTool.STAMP;
+        let isRedaction = this.area.currentTool == this.DrawingTool.REDACTION;
+        let isBrush = this.area.currentTool == this.DrawingTool.HIGHLIGHTER || this.area.currentTool == this.DrawingTool.LASER;
+        let isEraser = this.area.hasEraserTool;
+        this.lineSection.actor.visible = !isText && !isImage && !isStamp && !isRedaction;
+        this.arrowSection.actor.visible = isArrow;
+        this.stampSection.actor.visible = isStamp;
+        this.redactionSection.actor.visible = isRedaction;
         this.fontSection.actor.visible = isText;
         this.imageSection.actor.visible = isImage;
-        this.fillItem.setSensitive(!isText && !isImage);
-        this.fillSection.setSensitive(!isText && !isImage);
+        this.fillItem.setSensitive(!isText && !isImage && !isArrow && !isBrush && !isEraser && !isStamp && !isRedaction);
+        this.fillSection.setSensitive(!isText && !isImage && !isArrow && !isBrush && !isEraser && !isStamp && !isRedaction);
         
         if (this.area.fill)
             this.fillSection.actor.show();
@@ -446,6 +551,12 @@ export const DrawingMenu = GObject.registerClass({
                     item.menu.moveMenuItem(subItem, Number(this.DrawingTool.TEXT));
                 else if (key == this.DrawingTool.POLYLINE)
                     item.menu.moveMenuItem(subItem, Number(this.DrawingTool.TEXT) + 1);
+                else if (key == this.DrawingTool.ARROW)
+                    item.menu.moveMenuItem(subItem, Number(this.DrawingTool.LINE) + 1);
+                else if (key == this.DrawingTool.HIGHLIGHTER)
+                    item.menu.moveMenuItem(subItem, Number(this.DrawingTool.NONE) + 1);
+                else if (key == this.DrawingTool.LASER)
+                    item.menu.moveMenuItem(subItem, Number(this.DrawingTool.NONE) + 2);
             });
             return GLib.SOURCE_REMOVE;
         });
@@ -578,11 +689,18 @@ export const DrawingMenu = GObject.registerClass({
     
     _addImageSubMenuItem(menu, images) {
         let item = new PopupMenu.PopupSubMenuMenuItem('', true);
+        let importButton = new ActionButton(this._getSummary('import-svg-image'), 'document-open-symbolic', () => {
+            this.area.importSvgImage();
+            this._updateActionSensitivity();
+        }, null, true);
+        this._getActor(item).add_child(importButton);
+        
         item.update = () => {
             if (this.area.currentImage) { // null value. what consequences ?
                 item.label.set_text(this.area.currentImage.toString());
                 item.icon.set_gicon(this.area.currentImage.gicon);
             }
+            importButton.visible = this.area.currentImage?.contentType == 'image/svg+xml';
         };
         item.update();
         
@@ -630,11 +748,95 @@ export const DrawingMenu = GObject.registerClass({
         }
     }
     
+    _addHistorySubMenuItem(menu, icon) {
+        let item = new PopupMenu.PopupSubMenuMenuItem(_("History"), true);
+        this.historySubMenu = item.menu;
+        item.icon.set_gicon(icon);
+        
+        item.menu.itemActivated = item.menu.close;
+        item.menu.actor.add_style_class_name('draw-on-your-screen-menu-ellipsized');
+        
+        item.menu.openOld = item.menu.open;
+        item.menu.open = (animate) => {
+            if (!item.menu.isOpen)
+                this._populateHistorySubMenu();
+            item.menu.openOld();
+        };
+        
+        menu.addMenuItem(item);
+        return item;
+    }
+    
+    // The most recent commands come first. The current one is marked, the undone ones are in italics
+    // and the tips of the other branches are listed above the command they start from.
+    _populateHistorySubMenu() {
+        this.historySubMenu.removeAll();
+        let history = this.area.history;
+        let line = history.line;
+        let currentIndex = line.indexOf(history.current);
+        
+        let addCommandItem = (command, text, italic, ornament) => {
+            text = GLib.markup_escape_text(text, -1);
+            let subItem = this.historySubMenu.addAction(italic ? `<i>${text}</i>` : text, () => {
+                this.area.jumpToCommand(command);
+                this._updateActionSensitivity();
+            }, command.icon || this._extension.FILES.ICONS.HISTORY);
+            
+            subItem.label.get_clutter_text().set_use_markup(true);
+            subItem.setOrnament(ornament);
+            this._getActor(subItem).connect('key-focus-in', updateSubMenuAdjustment);
+        };
+        
+        line.slice().reverse().forEach(command => {
+            history.getBranchTips(command).forEach(tip => {
+                // Translators: %s is an action in the history menu
+                addCommandItem(tip, pgettext("history-command", "Other branch: %s").format(tip.label), true, PopupMenu.Ornament.NONE);
+            });
+            
+            let index = line.indexOf(command);
+            let text = command == history.root && !command.label ? DisplayStrings.HistoryCommand.initial : command.label;
+            addCommandItem(command, text, index > currentIndex, index == currentIndex ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.NONE);
+        });
+    }
+    
+    // Type the exact position and size of the selection, or the angle to rotate it by.
+    _addTransformSubMenuItem(menu, icon) {
+        let item = new PopupMenu.PopupSubMenuMenuItem(_("Position and size"), true);
+        item.icon.set_gicon(icon);
+        item.menu.itemActivated = item.menu.close;
+        
+        let getExtents = () => this.area.targetExtents || [0, 0, 0, 0];
+        let addEntry = (hintText, iconName, count, getInitialText, callback) => {
+            let entry = new Entry({ initialTextGetter: getInitialText,
+                                    hint_text: hintText,
+                                    entryActivateCallback: (text) => {
+                                        callback(...parseNumbers(text, count));
+                                        this._updateActionSensitivity();
+                                        item.menu.toggle();
+                                    },
+                                    invalidStrings: [],
+                                    isInvalid: (text) => !parseNumbers(text, count),
+                                    primaryIconName: iconName });
+            item.menu.addMenuItem(entry.item);
+        };
+        
+        addEntry(_("Position (x, y)"), 'find-location-symbolic', 2,
+                 () => getExtents().slice(0, 2).map(Math.round).join(', '), this.area.moveElementsTo.bind(this.area));
+        addEntry(_("Width"), 'zoom-fit-best-symbolic', 1,
+                 () => String(Math.round(getExtents()[2] - getExtents()[0])), this.area.resizeElementsTo.bind(this.area));
+        addEntry(_("Height"), 'object-flip-vertical-symbolic', 1,
+                 () => String(Math.round(getExtents()[3] - getExtents()[1])), this.area.stretchElementsToHeight.bind(this.area));
+        addEntry(_("Rotate by (degrees)"), 'object-rotate-right-symbolic', 1,
+                 () => '', this.area.rotateElements.bind(this.area));
+        
+        menu.addMenuItem(item);
+        return item;
+    }
+    
     _addOpenDrawingSubMenuItem(menu, label, icon) {
         let item = new PopupMenu.PopupSubMenuMenuItem(label, true);
         this.openDrawingSubMenuItem = item;
         this.openDrawingSubMenu = item.menu;
-        item.setSensitive(Boolean(this._extension.FILES.JSONS.getSorted().length));
         item.icon.set_icon_name(icon);
         
         item.menu.itemActivated = item.menu.close;
@@ -652,7 +854,43 @@ export const DrawingMenu = GObject.registerClass({
     
     _populateOpenDrawingSubMenu() {
         this.openDrawingSubMenu.removeAll();
-        this._extension.FILES.JSONS.getSorted().forEach(json => {
+        
+        let openEntry = new Entry({ initialTextGetter: () => "",
+                                    hint_text: _("Open file…"),
+                                    entryActivateCallback: (text) => {
+                                        this.area.openFile(text);
+                                        this._updateDrawingNameMenuItem();
+                                        this._updateActionSensitivity();
+                                        this.openDrawingSubMenu.toggle();
+                                    },
+                                    invalidStrings: [],
+                                    isInvalid: (text) => text.endsWith('/'),
+                                    primaryIconName: 'document-open' });
+        this.openDrawingSubMenu.addMenuItem(openEntry.item);
+        
+        this._extension.FILES.JSONS.getRecent().forEach(file => {
+            let path = file.get_path();
+            let displayPath = path.indexOf(GLib.get_home_dir()) == 0 ? path.replace(GLib.get_home_dir(), '~') : path;
+            let subItem = this.openDrawingSubMenu.addAction(displayPath, () => {
+                this.area.openFile(path);
+                this._updateDrawingNameMenuItem();
+                this._updateActionSensitivity();
+            }, 'document-open-recent-symbolic');
+            this._getActor(subItem).connect('key-focus-in', updateSubMenuAdjustment);
+        });
+        
+        // The items that are only relevant with saved drawings, removed after the last one is deleted.
+        let listItems = [];
+        // The drawings that are checked for the PDF export. All the drawings are exported if none is checked.
+        let pdfJsons = new Set();
+        let pdfItem;
+        let updatePdfItem = () => pdfItem.label.set_text(pdfJsons.size ? _("Export checked to PDF") : _("Export all to PDF"));
+        
+        let jsons = this._extension.FILES.JSONS.getSorted();
+        if (jsons.length)
+            listItems.push(this._addSeparator(this.openDrawingSubMenu, true));
+        
+        jsons.forEach(json => {
             if (!json.gicon)
                 json.addSvgContents(...this.area.getSvgContentsForJson(json));
             
@@ -686,17 +924,40 @@ export const DrawingMenu = GObject.registerClass({
             let insertButton = new ActionButton(_("Add to images"), 'insert-image-symbolic', insertCallback, null, true);
             this._getActor(subItem).add_child(insertButton);
             
+            let checkCallback = () => {
+                if (pdfJsons.has(json))
+                    pdfJsons.delete(json);
+                else
+                    pdfJsons.add(json);
+                checkButton.child.set_icon_name(pdfJsons.has(json) ? 'checkbox-checked-symbolic' : 'checkbox-symbolic');
+                updatePdfItem();
+            };
+            let checkButton = new ActionButton(_("Check for the PDF export"), 'checkbox-symbolic', checkCallback, null, true);
+            this._getActor(subItem).add_child(checkButton);
+            
             let deleteCallback = () => {
                 json.delete();
                 subItem.destroy();
-                this.openDrawingSubMenuItem.setSensitive(!this.openDrawingSubMenu.isEmpty());
+                jsons.splice(jsons.indexOf(json), 1);
+                pdfJsons.delete(json);
+                if (jsons.length)
+                    updatePdfItem();
+                else
+                    listItems.forEach(item => item?.destroy());
             };
             let deleteButton = new ActionButton(_("Delete"), 'edit-delete-symbolic', deleteCallback, null, true);
             deleteButton.child.add_style_class_name('draw-on-your-screen-menu-destructive-button');
             this._getActor(subItem).add_child(deleteButton);
         });
         
-        this.openDrawingSubMenuItem.setSensitive(!this.openDrawingSubMenu.isEmpty());
+        if (jsons.length) {
+            listItems.push(this._addSeparator(this.openDrawingSubMenu, true));
+            // pages follow the chronological order, like lecture notes
+            pdfItem = this.openDrawingSubMenu.addAction(_("Export all to PDF"), () => {
+                this.area.exportJsonsToPdf(jsons.filter(json => !pdfJsons.size || pdfJsons.has(json)).reverse());
+            }, this._extension.FILES.ICONS.DOCUMENT_EXPORT);
+            listItems.push(pdfItem);
+        }
     }
     
     _addSaveDrawingSubMenuItem(menu, label, icon) {
@@ -722,7 +983,6 @@ export const DrawingMenu = GObject.registerClass({
     
     _onDrawingSaved() {
         this._updateDrawingNameMenuItem();
-        this.openDrawingSubMenuItem.setSensitive(true);
     }
     
     _populateSaveDrawingSubMenu() {
@@ -736,6 +996,18 @@ export const DrawingMenu = GObject.registerClass({
                                     invalidStrings: [this._extension.metadata['persistent-file-name'], '/'],
                                     primaryIconName: 'insert-text' });
         this.saveDrawingSubMenu.addMenuItem(saveEntry.item);
+        
+        let saveFileEntry = new Entry({ initialTextGetter: () => "",
+                                        hint_text: _("Save as file…"),
+                                        entryActivateCallback: (text) => {
+                                            this.area.saveAsFile(text, this._onDrawingSaved.bind(this));
+                                            this.saveDrawingSubMenu.toggle();
+                                        },
+                                        invalidStrings: [],
+                                        isInvalid: (text) => text.endsWith('/'),
+                                        noInitialFocus: true,
+                                        primaryIconName: 'document-save-as' });
+        this.saveDrawingSubMenu.addMenuItem(saveFileEntry.item);
     }
     
     _addSeparator(menu, thin) {
@@ -745,7 +1017,9 @@ export const DrawingMenu = GObject.registerClass({
             if (thin)
                 this._getActor(separatorItem).add_style_class_name('draw-on-your-screen-menu-thin-separator-item');
             menu.addMenuItem(separatorItem);
+            return separatorItem;
         }
+        return null;
     }
 
     _getSummary(settingKey) {
@@ -780,6 +1054,15 @@ const updateSubMenuAdjustment = function(itemActor) {
 
 
 
+// The numbers of a text like "12, 34", or null if there is not the expected count of numbers.
+const parseNumbers = function(text, count) {
+    let numbers = text.trim().split(/[\s,;]+/).map(Number);
+    return numbers.length == count && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+
+
+
 // An action button that uses upstream dash item tooltips.
 const ActionButton = GObject.registerClass ({
     GTypeName: `${UUID}-DrawingMenuActionButton`,
@@ -863,7 +1146,8 @@ const Entry = GObject.registerClass({
         this._getActor(this.item).connect('notify::mapped', (actor) => {
             if (actor.mapped) {
                 this.entry.set_text(this.params.initialTextGetter());
-                this.entry.clutter_text.grab_key_focus();
+                if (!this.params.noInitialFocus)
+                    this.entry.clutter_text.grab_key_focus();
             }
         });
     }
@@ -901,7 +1185,8 @@ const Entry = GObject.registerClass({
     }
     
     _getIsInvalid() {
-        return this.params.invalidStrings.some(invalidString => this.entry.text.indexOf(invalidString) != -1);
+        return this.params.invalidStrings.some(invalidString => this.entry.text.indexOf(invalidString) != -1) ||
+               Boolean(this.params.isInvalid?.(this.entry.text));
     }
 
     _getActor(object) {
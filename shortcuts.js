@@ -28,14 +28,17 @@ export const GLOBAL_KEYBINDINGS_SWITCHES = [
 ];
 // The setting keys of the "org.gnome.shell.extensions.draw-on-your-screen.internal-shortcuts" schema.
 export const INTERNAL_KEYBINDINGS = [
-    'undo', 'redo', 'delete-last-element', 'smooth-last-element',
-    'select-none-shape', 'select-line-shape', 'select-ellipse-shape', 'select-rectangle-shape', 'select-polygon-shape', 'select-polyline-shape',
+    'undo', 'redo', 'delete-last-element', 'smooth-last-element', 'recognize-last-element', 'group-elements', 'ungroup-elements',
+    'raise-element', 'lower-element', 'raise-element-to-top', 'lower-element-to-bottom',
+    'select-none-shape', 'select-highlighter-tool', 'select-laser-tool', 'select-line-shape', 'select-arrow-shape', 'select-ellipse-shape',
+     'select-rectangle-shape', 'select-polygon-shape', 'select-polyline-shape', 'select-stamp-shape', 'select-redaction-shape',
      'select-text-shape', 'select-image-shape', 'select-move-tool', 'select-resize-tool', 'select-mirror-tool',
+     'select-object-eraser-tool', 'select-stroke-eraser-tool',
     'switch-fill', 'switch-fill-rule', 'switch-color-palette', 'switch-color-palette-reverse', 'pick-color',
     'increment-line-width', 'increment-line-width-more', 'decrement-line-width', 'decrement-line-width-more',
      'switch-linejoin', 'switch-linecap', 'switch-dash',
     'switch-font-family', 'switch-font-family-reverse', 'switch-font-weight', 'switch-font-style', 'switch-text-alignment',
-    'switch-image-file', 'switch-image-file-reverse', 'paste-image-files',
-    'toggle-panel-and-dock-visibility', 'toggle-background', 'toggle-grid', 'toggle-square-area',
-    'open-next-json', 'open-previous-json', 'save-as-json', 'export-to-svg', 'open-preferences', 'toggle-help',
+    'switch-image-file', 'switch-image-file-reverse', 'import-svg-image', 'copy-elements', 'cut-elements', 'paste-image-files',
+    'toggle-panel-and-dock-visibility', 'toggle-background', 'toggle-grid', 'toggle-snapping', 'toggle-spotlight', 'toggle-magnifier', 'toggle-square-area',
+    'open-next-json', 'open-previous-json', 'save-as-json', 'export-to-svg', 'export-to-png', 'save-screenshot', 'copy-image', 'open-preferences', 'toggle-help',
 ];
@@ -0,0 +1,598 @@
+/*
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ */
+
+/* jslint esversion: 6 */
+/* exported addMetadata, parseContents */
+
+import Cairo from 'cairo';
+import GLib from 'gi://GLib';
+import Pango from 'gi://Pango';
+
+import { Shape, TextAlignment, Transformation } from './elements.js';
+import { UUID } from './utils.js';
+
+
+// The id of the metadata block that holds the json of the exported elements, see addMetadata.
+const METADATA_ID = 'draw-on-your-screen';
+// The metadata block, with the hash of the rest of the document and the json split into CDATA sections.
+const METADATA_REG_EXP = new RegExp(`\\n?[ \\t]*<metadata id="${METADATA_ID}" data-hash="([\\da-f]+)">((?:<!\\[CDATA\\[[\\s\\S]*?\\]\\]>)*)</metadata>`);
+
+const CURVE_SEGMENTS = 16;        // the number of segments that replace a Bézier curve
+const ARC_SEGMENT_ANGLE = Math.PI / 16; // rad
+const EPSILON = 1e-6;
+
+const decoder = new TextDecoder('utf-8');
+
+// Only the containers are traversed, the other unknown tags (defs, clipPath, style...) are skipped with their content.
+const CONTAINER_TAGS = ['svg', 'g', 'a', 'switch'];
+
+// The presentation properties that are inherited by the children, with their SVG default values.
+const DEFAULT_STYLE = {
+    'fill': 'black', 'fill-rule': 'nonzero', 'stroke': 'none', 'stroke-width': '1',
+    'stroke-linecap': 'butt', 'stroke-linejoin': 'miter', 'stroke-dasharray': 'none', 'stroke-dashoffset': '0',
+    'stroke-opacity': '1', 'font-family': 'sans-serif', 'font-size': '16', 'font-weight': 'normal',
+    'font-style': 'normal', 'font-stretch': 'normal', 'font-variant': 'normal', 'text-anchor': 'start'
+};
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeEntities = function(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] == '#')
+            return String.fromCodePoint(entity[1].toLowerCase() == 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+        return ENTITIES[entity] ?? match;
+    });
+};
+
+/*
+ * A minimal XML reader that returns the root node as { name, attributes, children, text }.
+ * Comments, processing instructions and doctypes are ignored.
+ */
+const parseXml = function(contents) {
+    let root = { name: '', attributes: {}, children: [], text: '' };
+    let stack = [root];
+    let tokenRegExp = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = tokenRegExp.exec(contents))) {
+        let [, cdata, closingName, name, attributesString, selfClosing, text] = match;
+        let parent = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            parent.text += cdata;
+        } else if (text !== undefined) {
+            parent.text += decodeEntities(text);
+        } else if (closingName !== undefined) {
+            if (stack.length > 1)
+                stack.pop();
+        } else if (name !== undefined) {
+            let node = { name: name.replace(/^svg:/, ''), attributes: {}, children: [], text: '' };
+            let attributeRegExp = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let attributeMatch;
+            while ((attributeMatch = attributeRegExp.exec(attributesString)))
+                node.attributes[attributeMatch[1]] = decodeEntities(attributeMatch[2] ?? attributeMatch[3]);
+
+            parent.children.push(node);
+            if (!selfClosing)
+                stack.push(node);
+        }
+    }
+
+    return root.children.find(node => node.name == 'svg') || null;
+};
+
+// Matrices are [a, b, c, d, e, f] arrays, as in the SVG "matrix" transform function.
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const multiply = function(m, n) {
+    return [m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]];
+};
+
+const parseTransform = function(string) {
+    let matrix = IDENTITY;
+    let functionRegExp = /(\w+)\s*\(([^)]*)\)/g;
+    let match;
+
+    while ((match = functionRegExp.exec(string || ''))) {
+        let [type, values] = [match[1], parseNumbers(match[2])];
+        let [v0 = 0, v1, v2 = 0] = values;
+        let transform;
+
+        if (type == 'matrix' && values.length == 6) {
+            transform = values;
+        } else if (type == 'translate') {
+            transform = [1, 0, 0, 1, v0, v1 ?? 0];
+        } else if (type == 'scale') {
+            transform = [v0, 0, 0, v1 ?? v0, 0, 0];
+        } else if (type == 'rotate') {
+            let [angle, cx, cy] = [v0 * Math.PI / 180, v1 ?? 0, v2];
+            let [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+            transform = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        } else if (type == 'skewX') {
+            transform = [1, 0, Math.tan(v0 * Math.PI / 180), 1, 0, 0];
+        } else if (type == 'skewY') {
+            transform = [1, Math.tan(v0 * Math.PI / 180), 0, 1, 0, 0];
+        } else {
+            continue;
+        }
+
+        matrix = multiply(matrix, transform);
+    }
+
+    return matrix;
+};
+
+const parseNumbers = function(string) {
+    return (string.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+};
+
+// Lengths are user units, "px" being the only unit that is understood.
+const parseLength = function(string, fallback = 0) {
+    let number = parseFloat(string);
+    return isNaN(number) ? fallback : number;
+};
+
+/*
+ * The element transformations that rebuild the matrix as a stretch, then a rotation, both around the center,
+ * followed by a translation. Keeping the center in place lets the next transformations made by the user turn around the element.
+ * The rotation is the one of the polar decomposition and the stretch axes are the eigenvectors of the symmetric remainder.
+ */
+const getTransformations = function(matrix, center) {
+    let [a, b, c, d] = matrix;
+    let [e, f] = [a * center[0] + c * center[1] + matrix[4] - center[0], b * center[0] + d * center[1] + matrix[5] - center[1]];
+    let transformations = [];
+
+    let rotation = Math.atan2(b - c, a + d);
+    let [cos, sin] = [Math.cos(rotation), Math.sin(rotation)];
+    let [p, q, r] = [cos * a + sin * b, cos * c + sin * d, -sin * c + cos * d];
+    let angle = Math.atan2(2 * q, p - r) / 2;
+    let [cosAngle, sinAngle] = [Math.cos(angle), Math.sin(angle)];
+    let scaleX = p * cosAngle ** 2 + 2 * q * sinAngle * cosAngle + r * sinAngle ** 2;
+    let scaleY = p * sinAngle ** 2 - 2 * q * sinAngle * cosAngle + r * cosAngle ** 2;
+
+    if (Math.abs(scaleX - 1) > EPSILON || Math.abs(scaleY - 1) > EPSILON) {
+        let type = Math.abs(scaleX - scaleY) > EPSILON ? Transformation.STRETCH : Transformation.SCALE_PRESERVE;
+        transformations.push({ type, scaleX, scaleY, angle, center });
+    }
+    if (Math.abs(rotation) > EPSILON)
+        transformations.push({ type: Transformation.ROTATION, angle: rotation, center });
+    if (Math.abs(e) > EPSILON || Math.abs(f) > EPSILON)
+        transformations.push({ type: Transformation.TRANSLATION, slideX: e, slideY: f });
+
+    return transformations;
+};
+
+// The style of a node, from its parent style, its presentation attributes and its "style" attribute.
+const getStyle = function(node, parentStyle) {
+    let style = Object.assign({}, parentStyle);
+    Object.keys(DEFAULT_STYLE).forEach(property => {
+        if (node.attributes[property] !== undefined)
+            style[property] = node.attributes[property];
+    });
+
+    (node.attributes.style || '').split(';').forEach(declaration => {
+        let [property, ...value] = declaration.split(':');
+        property = property.trim();
+        if (property && value.length)
+            style[property] = value.join(':').replace(/!important/, '').trim();
+    });
+
+    Object.keys(style).forEach(property => {
+        if (style[property] == 'inherit')
+            style[property] = parentStyle[property];
+    });
+
+    return style;
+};
+
+// The eraser elements are exported with the background color, "transparent" when there is no background.
+const isPaint = function(value, eraser) {
+    return value && value != 'none' && (eraser || value != 'transparent') && !value.startsWith('url(');
+};
+
+// The stroke and fill properties of the json elements. An element has a single color, the stroke one when it is stroked.
+const getStrokeAndFill = function(style, matrix, eraser) {
+    let [stroked, filled] = [isPaint(style.stroke, eraser), isPaint(style.fill, eraser)];
+    if (!stroked && !filled && !eraser)
+        return null;
+
+    let lineCaps = { butt: Cairo.LineCap.BUTT, round: Cairo.LineCap.ROUND, square: Cairo.LineCap.SQUASH };
+    let lineJoins = { miter: Cairo.LineJoin.MITER, round: Cairo.LineJoin.ROUND, bevel: Cairo.LineJoin.BEVEL };
+    // The line width is not transformed when the elements are painted, unlike the points.
+    let scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    let dashArray = style['stroke-dasharray'] == 'none' ? [] : parseNumbers(style['stroke-dasharray']);
+    let opacity = parseLength(style['stroke-opacity'], 1);
+
+    let properties = {
+        color: stroked ? style.stroke : filled ? style.fill : 'black',
+        line: {
+            lineWidth: stroked ? parseLength(style['stroke-width'], 1) * scale : 0,
+            lineJoin: lineJoins[style['stroke-linejoin']] ?? Cairo.LineJoin.MITER,
+            lineCap: lineCaps[style['stroke-linecap']] ?? Cairo.LineCap.BUTT
+        },
+        dash: {
+            active: dashArray.length >= 2,
+            array: dashArray.length >= 2 ? dashArray.slice(0, 2) : [0, 0],
+            offset: parseLength(style['stroke-dashoffset'])
+        },
+        fill: filled,
+        fillRule: style['fill-rule'] == 'evenodd' ? Cairo.FillRule.EVEN_ODD : Cairo.FillRule.WINDING,
+        eraser
+    };
+
+    // The highlighter is exported with a multiply blend mode.
+    if (stroked && opacity < 1 && /multiply/.test(style['mix-blend-mode'] || '')) {
+        properties.highlighter = true;
+        properties.opacity = opacity;
+    }
+
+    return properties;
+};
+
+const getFontString = function(style) {
+    let font = new Pango.FontDescription();
+    font.set_family(style['font-family'].split(',')[0].trim().replace(/^["']|["']$/g, ''));
+
+    let weight = style['font-weight'];
+    font.set_weight(weight == 'bold' || weight == 'bolder' ? Pango.Weight.BOLD :
+                    weight == 'normal' || weight == 'lighter' || isNaN(Number(weight)) ? Pango.Weight.NORMAL :
+                    Number(weight));
+
+    // The values exported by TextElement are Pango font strings ("Italic", "Condensed", "Small-Caps").
+    ['style', 'stretch', 'variant'].forEach(attribute => {
+        let value = style[`font-${attribute}`];
+        if (!value || value == 'normal')
+            return;
+
+        let parsed = Pango.FontDescription.from_string(value.replace(/^small-caps$/i, 'Small-Caps'));
+        if (parsed.get_set_fields() & Pango.FontMask[attribute.toUpperCase()])
+            font[`set_${attribute}`](parsed[`get_${attribute}`]());
+    });
+
+    return font.to_string();
+};
+
+/*
+ * The subpaths of a path data string as { points, closed, curve }, curve being the four points
+ * of the subpath when it is made of a single cubic Bézier curve. Curves and arcs are flattened into points.
+ */
+const parsePathData = function(data) {
+    let subpaths = [];
+    let subpath = null;
+    let [x, y, startX, startY] = [0, 0, 0, 0];
+    let lastControl = null;
+    let lastCommand = '';
+
+    let commandRegExp = /([MmLlHhVvCcSsQqTtAaZz])([^MmLlHhVvCcSsQqTtAaZz]*)/g;
+    let match;
+
+    let addPoint = point => {
+        subpath.points.push(point);
+        [x, y] = point;
+    };
+    let addCubic = (c1, c2, end) => {
+        subpath.segments.push({ cubic: [[x, y], c1, c2, end] });
+        let start = [x, y];
+        for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+            let t = i / CURVE_SEGMENTS;
+            let u = 1 - t;
+            addPoint([u ** 3 * start[0] + 3 * u ** 2 * t * c1[0] + 3 * u * t ** 2 * c2[0] + t ** 3 * end[0],
+                      u ** 3 * start[1] + 3 * u ** 2 * t * c1[1] + 3 * u * t ** 2 * c2[1] + t ** 3 * end[1]]);
+        }
+        lastControl = c2;
+    };
+
+    while ((match = commandRegExp.exec(data))) {
+        let command = match[1];
+        let values = parseNumbers(match[2]);
+        let relative = command == command.toLowerCase();
+        let type = command.toUpperCase();
+
+        // A command that follows a "closepath" starts a new subpath at the same point.
+        if (type == 'Z') {
+            if (subpath) {
+                subpath.closed = true;
+                [x, y] = [startX, startY];
+                subpath = null;
+            }
+            lastCommand = type;
+            continue;
+        }
+
+        let argumentCount = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7 }[type];
+        for (let i = 0; i + argumentCount <= values.length; i += argumentCount) {
+            let v = values.slice(i, i + argumentCount);
+            let [dx, dy] = relative ? [x, y] : [0, 0];
+
+            // A "moveto" followed by more coordinates continues with implicit "lineto" commands.
+            if (type == 'M' && i == 0) {
+                subpath = { points: [], segments: [], closed: false };
+                subpaths.push(subpath);
+                addPoint([v[0] + dx, v[1] + dy]);
+                [startX, startY] = [x, y];
+            } else if (!subpath) {
+                subpath = { points: [[x, y]], segments: [], closed: false };
+                subpaths.push(subpath);
+            }
+
+            if (type == 'M' && i == 0) {
+                lastControl = null;
+            } else if (type == 'M' || type == 'L') {
+                subpath.segments.push({ line: true });
+                addPoint([v[0] + dx, v[1] + dy]);
+            } else if (type == 'H') {
+                subpath.segments.push({ line: true });
+                addPoint([v[0] + dx, y]);
+            } else if (type == 'V') {
+                subpath.segments.push({ line: true });
+                addPoint([x, v[0] + dy]);
+            } else if (type == 'C') {
+                addCubic([v[0] + dx, v[1] + dy], [v[2] + dx, v[3] + dy], [v[4] + dx, v[5] + dy]);
+            } else if (type == 'S') {
+                let c1 = lastControl && 'CS'.includes(lastCommand) ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+                addCubic(c1, [v[0] + dx, v[1] + dy], [v[2] + dx, v[3] + dy]);
+            } else if (type == 'Q' || type == 'T') {
+                let control = type == 'Q' ? [v[0] + dx, v[1] + dy] :
+                              lastControl && 'QT'.includes(lastCommand) ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+                let end = type == 'Q' ? [v[2] + dx, v[3] + dy] : [v[0] + dx, v[1] + dy];
+                addCubic([x + 2 / 3 * (control[0] - x), y + 2 / 3 * (control[1] - y)],
+                         [end[0] + 2 / 3 * (control[0] - end[0]), end[1] + 2 / 3 * (control[1] - end[1])], end);
+                lastControl = control;
+            } else if (type == 'A') {
+                subpath.segments.push({ arc: true });
+                getArcPoints([x, y], v[0], v[1], v[2], v[3], v[4], [v[5] + dx, v[6] + dy]).forEach(addPoint);
+            }
+
+            if (type != 'C' && type != 'S' && type != 'Q' && type != 'T')
+                lastControl = null;
+            lastCommand = type;
+        }
+    }
+
+    return subpaths.filter(subpath => subpath.points.length).map(subpath => {
+        let singleCubic = subpath.segments.length == 1 && subpath.segments[0].cubic;
+        return { points: subpath.points, closed: subpath.closed, curve: singleCubic || null,
+                 hasCurves: subpath.segments.some(segment => !segment.line) };
+    });
+};
+
+// The points of an elliptical arc, see the "Implementation Notes" appendix of the SVG specification.
+const getArcPoints = function(start, rx, ry, xAxisRotation, largeArc, sweep, end) {
+    [rx, ry] = [Math.abs(rx), Math.abs(ry)];
+    if (!rx || !ry || (start[0] == end[0] && start[1] == end[1]))
+        return [end];
+
+    let phi = xAxisRotation * Math.PI / 180;
+    let [cos, sin] = [Math.cos(phi), Math.sin(phi)];
+    let [mx, my] = [(start[0] - end[0]) / 2, (start[1] - end[1]) / 2];
+    let [x1, y1] = [cos * mx + sin * my, -sin * mx + cos * my];
+
+    let lambda = x1 ** 2 / rx ** 2 + y1 ** 2 / ry ** 2;
+    if (lambda > 1)
+        [rx, ry] = [rx * Math.sqrt(lambda), ry * Math.sqrt(lambda)];
+
+    let numerator = rx ** 2 * ry ** 2 - rx ** 2 * y1 ** 2 - ry ** 2 * x1 ** 2;
+    let denominator = rx ** 2 * y1 ** 2 + ry ** 2 * x1 ** 2;
+    let coefficient = (largeArc == sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    let [cx1, cy1] = [coefficient * rx * y1 / ry, -coefficient * ry * x1 / rx];
+    let [cx, cy] = [cos * cx1 - sin * cy1 + (start[0] + end[0]) / 2, sin * cx1 + cos * cy1 + (start[1] + end[1]) / 2];
+
+    let startAngle = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+    let deltaAngle = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - startAngle;
+    if (sweep && deltaAngle < 0)
+        deltaAngle += 2 * Math.PI;
+    else if (!sweep && deltaAngle > 0)
+        deltaAngle -= 2 * Math.PI;
+
+    let count = Math.max(1, Math.ceil(Math.abs(deltaAngle) / ARC_SEGMENT_ANGLE));
+    let points = [];
+    for (let i = 1; i < count; i++) {
+        let angle = startAngle + deltaAngle * i / count;
+        let [ex, ey] = [rx * Math.cos(angle), ry * Math.sin(angle)];
+        points.push([cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]);
+    }
+    points.push(end);
+    return points;
+};
+
+const isSamePoint = function(pointA, pointB) {
+    return Math.abs(pointA[0] - pointB[0]) < EPSILON && Math.abs(pointA[1] - pointB[1]) < EPSILON;
+};
+
+// The subpaths do not share their line and dash objects.
+const copy = function(properties) {
+    return JSON.parse(JSON.stringify(properties));
+};
+
+const getPathElements = function(node, properties) {
+    return parsePathData(node.attributes.d || '').map(subpath => {
+        let points = subpath.points;
+
+        if (subpath.curve) {
+            // DrawingElement exports the three-point curves with a first control point on the start point.
+            let [start, c1, c2, end] = subpath.curve;
+            points = isSamePoint(start, c1) ? [start, c2, end] : [start, c1, c2, end];
+            return Object.assign({ shape: Shape.LINE, points }, copy(properties));
+        }
+
+        if (subpath.closed && points.length > 1 && isSamePoint(points[0], points[points.length - 1]))
+            points = points.slice(0, -1);
+
+        if (points.length == 2 && !subpath.closed)
+            return Object.assign({ shape: Shape.LINE, points }, copy(properties));
+
+        let shape = subpath.closed && !subpath.hasCurves && points.length >= 3 ? Shape.POLYGON : Shape.NONE;
+        return Object.assign({ shape, points }, copy(properties));
+    }).filter(element => element.points.length >= 2);
+};
+
+// The center that the element keeps in place when it is rotated or scaled, roughly the one of DrawingElement.
+const getCenter = function(element) {
+    if (element.shape == Shape.ELLIPSE)
+        return element.points[0];
+    if (element.shape == Shape.TEXT)
+        return element.points[1];
+
+    let [xs, ys] = [element.points.map(point => point[0]), element.points.map(point => point[1])];
+    return [(Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...ys) + Math.max(...ys)) / 2];
+};
+
+// Build the json objects of a leaf node, without their transformations. Unsupported nodes give no object.
+const getLeafElements = function(node, style, matrix) {
+    let attributes = node.attributes;
+    let number = name => parseLength(attributes[name]);
+    let eraser = /(^|\s)eraser(\s|$)/.test(attributes.class || '');
+
+    if (node.name == 'text') {
+        let text = node.text.trim() || node.children.map(child => child.text).join('').trim();
+        if (!text || !isPaint(style.fill) && !eraser)
+            return [];
+
+        // TextElement points are the top of the text and its anchor on the baseline.
+        let [x, y, size] = [number('x'), number('y'), parseLength(style['font-size'], 16)];
+        let textAlignment = style['text-anchor'] == 'middle' ? TextAlignment.CENTER :
+                            style['text-anchor'] == 'end' ? TextAlignment.RIGHT :
+                            TextAlignment.LEFT;
+        return [{
+            shape: Shape.TEXT, color: isPaint(style.fill) ? style.fill : 'black', eraser, text, textAlignment,
+            font: getFontString(style), points: [[x, y - size], [x, y]]
+        }];
+    }
+
+    let properties = getStrokeAndFill(style, matrix, eraser);
+    if (!properties)
+        return [];
+
+    if (node.name == 'path')
+        return getPathElements(node, properties);
+
+    let element;
+    if (node.name == 'line') {
+        element = { shape: Shape.LINE, points: [[number('x1'), number('y1')], [number('x2'), number('y2')]] };
+    } else if (node.name == 'polyline' || node.name == 'polygon') {
+        let coordinates = parseNumbers(attributes.points || '');
+        let points = [];
+        for (let i = 0; i + 1 < coordinates.length; i += 2)
+            points.push([coordinates[i], coordinates[i + 1]]);
+        element = { shape: node.name == 'polygon' ? Shape.POLYGON : Shape.POLYLINE, points };
+    } else if (node.name == 'rect') {
+        let [x, y] = [number('x'), number('y')];
+        element = { shape: Shape.RECTANGLE, points: [[x, y], [x + number('width'), y + number('height')]] };
+    } else if (node.name == 'circle') {
+        let [cx, cy] = [number('cx'), number('cy')];
+        element = { shape: Shape.ELLIPSE, points: [[cx, cy], [cx, cy + number('r')]] };
+    } else if (node.name == 'ellipse') {
+        // The second point gives the vertical radius and the third one the horizontal radius.
+        let [cx, cy] = [number('cx'), number('cy')];
+        element = { shape: Shape.ELLIPSE, points: [[cx, cy], [cx, cy + number('ry')], [cx + number('rx'), cy]] };
+    } else {
+        return [];
+    }
+
+    return element.points.length >= 2 ? [Object.assign(element, properties)] : [];
+};
+
+// Groups of several elements are kept as groups, the transformations being applied to the leaves.
+const getElements = function(node, parentStyle, parentMatrix) {
+    if (node.attributes.display == 'none' || node.attributes.visibility == 'hidden')
+        return [];
+
+    let style = getStyle(node, parentStyle);
+    let matrix = multiply(parentMatrix, parseTransform(node.attributes.transform));
+
+    if (!CONTAINER_TAGS.includes(node.name)) {
+        let elements = getLeafElements(node, style, matrix).map(element => {
+            element.transformations = getTransformations(matrix, getCenter(element));
+            return element;
+        });
+
+        // The subpaths of a path stay together.
+        return elements.length > 1 ? [{ shape: Shape.GROUP, transformations: [], children: elements }] : elements;
+    }
+
+    // Nested svg elements are positioned with x and y.
+    if (node.name == 'svg')
+        matrix = multiply(matrix, [1, 0, 0, 1, parseLength(node.attributes.x), parseLength(node.attributes.y)]);
+
+    let children = node.children.flatMap(child => getElements(child, style, matrix));
+    if (node.name == 'g' && children.length > 1)
+        return [{ shape: Shape.GROUP, transformations: [], children }];
+
+    return children;
+};
+
+// The root viewBox is only applied when the document has an explicit size.
+const getRootMatrix = function(root) {
+    let viewBox = parseNumbers(root.attributes.viewBox || '');
+    if (viewBox.length != 4 || !root.attributes.width || !root.attributes.height || !viewBox[2] || !viewBox[3])
+        return IDENTITY;
+
+    let [scaleX, scaleY] = [parseLength(root.attributes.width) / viewBox[2], parseLength(root.attributes.height) / viewBox[3]];
+    return [scaleX, 0, 0, scaleY, -viewBox[0] * scaleX, -viewBox[1] * scaleY];
+};
+
+const getHash = function(contents) {
+    return GLib.compute_checksum_for_string(GLib.ChecksumType.SHA256, contents, -1);
+};
+
+/*
+ * Embeds the json of the elements in the SVG content, just after the opening "svg" tag.
+ * The hash of the content lets parseContents use the json only as long as the shapes have not been edited.
+ */
+export function addMetadata(content, json) {
+    let cdata = json.split(']]>').join(']]]]><![CDATA[>');
+    let index = content.indexOf('>') + 1;
+    return `${content.slice(0, index)}\n  <metadata id="${METADATA_ID}" data-hash="${getHash(content)}"><![CDATA[${cdata}]]></metadata>${content.slice(index)}`;
+}
+
+// The json embedded by addMetadata, or null if there is none or if the document has been changed since.
+const getMetadataJson = function(contents) {
+    let match = contents.match(METADATA_REG_EXP);
+    if (!match || getHash(contents.replace(match[0], '')) != match[1])
+        return null;
+
+    return match[2].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+};
+
+/*
+ * Returns the json objects of the elements (as in saved drawings), to be revived with DrawingArea._reviveElement.
+ * The SVG files exported by the extension may embed the json of their elements, which gives them back unchanged
+ * unless the file has been edited. Other files are converted from their basic shapes, texts and groups. Gradients,
+ * patterns, images, clips and masks are ignored and curves other than single Bézier curves are flattened.
+ */
+export function parseContents(contents) {
+    if (contents instanceof Uint8Array)
+        contents = decoder.decode(contents);
+
+    let json = getMetadataJson(contents);
+    if (json) {
+        try {
+            return JSON.parse(json);
+        } catch (e) {
+            log(`${UUID}: invalid drawing metadata, the shapes are imported instead: ${e.message}`);
+        }
+    }
+
+    let root = parseXml(contents);
+    if (!root)
+        return [];
+
+    let rootMatrix = getRootMatrix(root);
+    return root.children.flatMap(child => getElements(child, DEFAULT_STYLE, rootMatrix));
+}
@@ -21,6 +21,12 @@
 /* jslint esversion: 6 */
 /* exported init */
 
+import Cairo from 'cairo';
+
+import Gdk from 'gi://Gdk';
+import GdkPixbuf from 'gi://GdkPixbuf';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
 import Meta from 'gi://Meta';
 import Shell from 'gi://Shell';
 import St from 'gi://St';
@@ -36,6 +42,7 @@ import {gettext as _} from 'resource:///org/gnome/shell/extensions/extension.js'
 import * as Area from '../area.js';
 import * as Helper from '../helper.js';
 
+const ELEMENTS_MIME_TYPE = 'application/x-draw-on-your-screen-elements';
 
 
 // AreaManager assigns one DrawingArea per monitor (updateAreas()),
@@ -47,6 +54,7 @@ export class AreaManager {
         this._extension = extension;
         this._GS_VERSION = Config.PACKAGE_VERSION;
         this._HIDE_TIMEOUT_LONG = 2500; // ms, default is 1500 ms
+        this.elementClipboard = null;
         
         // custom Shell.ActionMode, assuming that they are unused
         this._DRAWING_ACTION_MODE = Math.pow(2,14);
@@ -189,11 +197,21 @@ export class AreaManager {
             'redo': this.activeArea.redo.bind(this.activeArea),
             'delete-last-element': this.activeArea.deleteLastElement.bind(this.activeArea),
             'smooth-last-element': this.activeArea.smoothLastElement.bind(this.activeArea),
+            'recognize-last-element': this.activeArea.recognizeLastElement.bind(this.activeArea),
+            'group-elements': this.activeArea.groupElements.bind(this.activeArea),
+            'ungroup-elements': this.activeArea.ungroupElements.bind(this.activeArea),
+            'raise-element': this.activeArea.raiseElements.bind(this.activeArea),
+            'lower-element': this.activeArea.lowerElements.bind(this.activeArea),
+            'raise-element-to-top': this.activeArea.raiseElementsToTop.bind(this.activeArea),
+            'lower-element-to-bottom': this.activeArea.lowerElementsToBottom.bind(this.activeArea),
             'increment-line-width': () => this.activeArea.incrementLineWidth(1),
             'decrement-line-width': () => this.activeArea.incrementLineWidth(-1),
             'increment-line-width-more': () => this.activeArea.incrementLineWidth(5),
             'decrement-line-width-more': () => this.activeArea.incrementLineWidth(-5),
-            'paste-image-files': this.activeArea.pasteImageFiles.bind(this.activeArea),
+            'import-svg-image': this.activeArea.importSvgImage.bind(this.activeArea),
+            'copy-elements': this.copyElements.bind(this, false),
+            'cut-elements': this.copyElements.bind(this, true),
+            'paste-image-files': this.paste.bind(this),
             'switch-linejoin': this.activeArea.switchLineJoin.bind(this.activeArea),
             'switch-linecap': this.activeArea.switchLineCap.bind(this.activeArea),
             'switch-fill-rule': this.activeArea.switchFillRule.bind(this.activeArea),
@@ -202,13 +220,20 @@ export class AreaManager {
             'switch-image-file' : this.activeArea.switchImageFile.bind(this.activeArea, false),
             'switch-image-file-reverse' : this.activeArea.switchImageFile.bind(this.activeArea, true),
             'select-none-shape': () => this.activeArea.selectTool(Area.Tool.NONE),
+            'select-highlighter-tool': () => this.activeArea.selectTool(Area.Tool.HIGHLIGHTER),
+            'select-laser-tool': () => this.activeArea.selectTool(Area.Tool.LASER),
+            'select-object-eraser-tool': () => this.activeArea.selectTool(Area.Tool.OBJECT_ERASER),
+            'select-stroke-eraser-tool': () => this.activeArea.selectTool(Area.Tool.STROKE_ERASER),
             'select-line-shape': () => this.activeArea.selectTool(Area.Tool.LINE),
+            'select-arrow-shape': () => this.activeArea.selectTool(Area.Tool.ARROW),
             'select-ellipse-shape': () => this.activeArea.selectTool(Area.Tool.ELLIPSE),
             'select-rectangle-shape': () => this.activeArea.selectTool(Area.Tool.RECTANGLE),
             'select-text-shape': () => this.activeArea.selectTool(Area.Tool.TEXT),
             'select-image-shape': () => this.activeArea.selectTool(Area.Tool.IMAGE),
             'select-polygon-shape': () => this.activeArea.selectTool(Area.Tool.POLYGON),
             'select-polyline-shape': () => this.activeArea.selectTool(Area.Tool.POLYLINE),
+            'select-stamp-shape': () => this.activeArea.selectTool(Area.Tool.STAMP),
+            'select-redaction-shape': () => this.activeArea.selectTool(Area.Tool.REDACTION),
             'select-move-tool': () => this.activeArea.selectTool(Area.Tool.MOVE),
             'select-resize-tool': () => this.activeArea.selectTool(Area.Tool.RESIZE),
             'select-mirror-tool': () => this.activeArea.selectTool(Area.Tool.MIRROR)
@@ -217,12 +242,18 @@ export class AreaManager {
         // available when writing
         this.internalKeybindings2 = {
             'export-to-svg': this.activeArea.exportToSvg.bind(this.activeArea),
+            'export-to-png': this.activeArea.exportToPng.bind(this.activeArea),
+            'save-screenshot': this.saveScreenshot.bind(this),
+            'copy-image': this.activeArea.copyImage.bind(this.activeArea),
             'save-as-json': this.activeArea.saveAsJson.bind(this.activeArea, true, null),
             'open-previous-json': this.activeArea.loadPreviousJson.bind(this.activeArea),
             'open-next-json': this.activeArea.loadNextJson.bind(this.activeArea),
             'pick-color': this.activeArea.pickColor.bind(this.activeArea),
             'toggle-background': this.activeArea.toggleBackground.bind(this.activeArea),
             'toggle-grid': this.activeArea.toggleGrid.bind(this.activeArea),
+            'toggle-snapping': this.activeArea.toggleSnapping.bind(this.activeArea),
+            'toggle-spotlight': this.activeArea.toggleSpotlight.bind(this.activeArea),
+            'toggle-magnifier': this.toggleMagnifier.bind(this),
             'toggle-square-area': this.activeArea.toggleSquareArea.bind(this.activeArea),
             'switch-color-palette': this.activeArea.switchColorPalette.bind(this.activeArea, false),
             'switch-color-palette-reverse': this.activeArea.switchColorPalette.bind(this.activeArea, true),
@@ -320,6 +351,90 @@ export class AreaManager {
         }
     }
     
+    // The element clipboard is shared by the areas, so elements can be moved from one monitor to another.
+    // The system clipboard gets the same contents with a private type, to know at paste time whether elements or files were copied last.
+    copyElements(cut) {
+        let contents = cut ? this.activeArea.cutElements() : this.activeArea.copyElements();
+        if (!contents)
+            return;
+        
+        this.elementClipboard = contents;
+        St.Clipboard.get_default().set_content(St.ClipboardType.CLIPBOARD, ELEMENTS_MIME_TYPE, new GLib.Bytes(new TextEncoder().encode(contents)));
+    }
+    
+    paste() {
+        let mimetypes = St.Clipboard.get_default().get_mimetypes(St.ClipboardType.CLIPBOARD);
+        if (this.elementClipboard && mimetypes.includes(ELEMENTS_MIME_TYPE))
+            this.activeArea.pasteElements(this.elementClipboard);
+        else
+            this.activeArea.pasteImageFiles();
+    }
+    
+    // Captures the screen behind the drawing areas and composites the drawings on top,
+    // for the active monitor or for all the monitors stitched together.
+    saveScreenshot() {
+        let areas = this._extension.drawingSettings.get_boolean('screenshot-all-monitors') ? this.areas : [this.activeArea];
+        let x = Math.min(...areas.map(area => area.monitor.x));
+        let y = Math.min(...areas.map(area => area.monitor.y));
+        let width = Math.max(...areas.map(area => area.monitor.x + area.monitor.width)) - x;
+        let height = Math.max(...areas.map(area => area.monitor.y + area.monitor.height)) - y;
+        let stream = Gio.MemoryOutputStream.new_resizable();
+        let screenshot = new Shell.Screenshot();
+        
+        // The areas are hidden until the capture is done.
+        let containerPositions = areas.map(area => area.layerContainer.get_transformed_position());
+        let visibleAreas = areas.filter(area => area.visible);
+        visibleAreas.forEach(area => area.hide());
+        
+        screenshot.screenshot_area(x, y, width, height, stream).then(() => {
+            stream.close(null);
+            let inputStream = Gio.MemoryInputStream.new_from_bytes(stream.steal_as_bytes());
+            let pixbuf = GdkPixbuf.Pixbuf.new_from_stream(inputStream, null);
+            inputStream.close(null);
+            
+            // the capture has the physical resolution of the monitors
+            let scale = pixbuf.width / width;
+            let surface = new Cairo.ImageSurface(Cairo.Format.ARGB32, pixbuf.width, pixbuf.height);
+            let cr = new Cairo.Context(surface);
+            Gdk.cairo_set_source_pixbuf(cr, pixbuf, 0, 0);
+            cr.paint();
+            cr.$dispose();
+            
+            // a context takes the device transformation of the surface when it is created
+            surface.setDeviceScale(scale, scale);
+            areas.forEach((area, index) => {
+                let [containerX, containerY] = containerPositions[index];
+                surface.setDeviceOffset((containerX - x) * scale, (containerY - y) * scale);
+                let areaCr = new Cairo.Context(surface);
+                area.paintOverScreenshot(areaCr);
+                areaCr.$dispose();
+            });
+            surface.setDeviceScale(1, 1);
+            surface.setDeviceOffset(0, 0);
+            
+            let file = this._extension.FILES.savePng(surface);
+            if (file && this._extension.drawingSettings.get_boolean('screenshot-to-clipboard')) {
+                let composite = Gdk.pixbuf_get_from_surface(surface, 0, 0, surface.getWidth(), surface.getHeight());
+                St.Clipboard.get_default().set_content(St.ClipboardType.CLIPBOARD, 'image/png', new GLib.Bytes(composite.save_to_bufferv('png', [], [])[1]));
+            }
+            surface.finish();
+            if (!file)
+                return;
+            
+            this.activeArea.fireExportFeedback("Save screenshot", { x, y, width, height });
+        }).catch(e => {
+            log(`${this._extension.metadata.uuid}: screenshot failed: ${e.message}`);
+        }).finally(() => {
+            visibleAreas.forEach(area => area.show());
+        });
+    }
+    
+    // Each monitor area shows its own lens while the pointer is on its monitor.
+    toggleMagnifier() {
+        let show = !this.activeArea.hasMagnifier;
+        this.areas.filter(area => area.hasMagnifier != show).forEach(area => area.toggleMagnifier());
+    }
+    
     toggleArea() {
         if (!this.activeArea)
             return;
@@ -382,6 +497,7 @@ export class AreaManager {
             let erase = !this.persistentOverToggles;
 
             this.showOsd(null, this._extension.FILES.ICONS.LEAVE, _("Leaving drawing mode"));
+            this.areas.filter(area => area.hasMagnifier).forEach(area => area.toggleMagnifier());
             this.activeArea.leaveDrawingMode(save, erase);
 
             if (this.hiddenList)
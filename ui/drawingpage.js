@@ -147,12 +147,69 @@ const DrawingPage = GObject.registerClass({
                                                       tooltip_text: this.schema.get_key('grid-color').get_description() });
         this.settings.bind('grid-color', gridColorButton, 'color-string', 0);
         gridColorRow.add_suffix(gridColorButton);
+
+        let spotlightRow = Adw.ActionRow.new();
+        spotlightRow.set_title(_("Spotlight"));
+
+        let spotlightFollowPointerButton = new Gtk.CheckButton({ label: _("Follow pointer"),
+                                                                 name: this.schema.get_key('spotlight-follow-pointer').get_summary(),
+                                                                 tooltip_text: this.schema.get_key('spotlight-follow-pointer').get_description() });
+        let spotlightShapeButton = new Gtk.ComboBoxText({ name: this.schema.get_key('spotlight-shape').get_summary(),
+                                                          tooltip_text: this.schema.get_key('spotlight-shape').get_description() });
+        spotlightShapeButton.append('circle', _("Circle"));
+        spotlightShapeButton.append('rectangle', _("Rectangle"));
+        let spotlightSizeButton = new PixelSpinButton({ width_chars: 5, digits: 0, step: 10,
+                                                        range: this.schema.get_key('spotlight-size').get_range(),
+                                                        name: this.schema.get_key('spotlight-size').get_summary(),
+                                                        tooltip_text: this.schema.get_key('spotlight-size').get_description() });
+        this.settings.bind('spotlight-follow-pointer', spotlightFollowPointerButton, 'active', 0);
+        this.settings.bind('spotlight-shape', spotlightShapeButton, 'active-id', 0);
+        this.settings.bind('spotlight-size', spotlightSizeButton, 'value', 0);
+        spotlightFollowPointerButton.bind_property('active', spotlightSizeButton, 'sensitive', GObject.BindingFlags.SYNC_CREATE);
+        spotlightFollowPointerButton.valign = Gtk.Align.CENTER;
+        spotlightShapeButton.valign = Gtk.Align.CENTER;
+        spotlightSizeButton.valign = Gtk.Align.CENTER;
+        spotlightRow.add_suffix(spotlightFollowPointerButton);
+        spotlightRow.add_suffix(spotlightShapeButton);
+        spotlightRow.add_suffix(spotlightSizeButton);
+
+        let spotlightDimRow = Adw.ActionRow.new();
+        spotlightDimRow.set_title(this.schema.get_key('spotlight-dim').get_summary());
+
+        let spotlightDimButton = new Gtk.SpinButton({ width_chars: 5, digits: 2,
+                                                      adjustment: new Gtk.Adjustment({ lower: 0.05, upper: 1, step_increment: 0.05, page_increment: 0.1 }),
+                                                      name: this.schema.get_key('spotlight-dim').get_summary(),
+                                                      tooltip_text: this.schema.get_key('spotlight-dim').get_description() });
+        this.settings.bind('spotlight-dim', spotlightDimButton, 'value', 0);
+        spotlightDimButton.valign = Gtk.Align.CENTER;
+        spotlightDimRow.add_suffix(spotlightDimButton);
+
+        let magnifierRow = Adw.ActionRow.new();
+        magnifierRow.set_title(_("Magnifier"));
+
+        let magnifierZoomButton = new Gtk.SpinButton({ width_chars: 5, digits: 2,
+                                                       adjustment: new Gtk.Adjustment({ lower: 1.25, upper: 16, step_increment: 0.25, page_increment: 1 }),
+                                                       name: this.schema.get_key('magnifier-zoom').get_summary(),
+                                                       tooltip_text: this.schema.get_key('magnifier-zoom').get_description() });
+        let magnifierSizeButton = new PixelSpinButton({ width_chars: 5, digits: 0, step: 10,
+                                                        range: this.schema.get_key('magnifier-size').get_range(),
+                                                        name: this.schema.get_key('magnifier-size').get_summary(),
+                                                        tooltip_text: this.schema.get_key('magnifier-size').get_description() });
+        this.settings.bind('magnifier-zoom', magnifierZoomButton, 'value', 0);
+        this.settings.bind('magnifier-size', magnifierSizeButton, 'value', 0);
+        magnifierZoomButton.valign = Gtk.Align.CENTER;
+        magnifierSizeButton.valign = Gtk.Align.CENTER;
+        magnifierRow.add_suffix(magnifierZoomButton);
+        magnifierRow.add_suffix(magnifierSizeButton);
         gridColorButton.valign = Gtk.Align.CENTER;
 
         adw_groupArea.add(squareAreaRow);
         adw_groupArea.add(backgroundColorRow);
         adw_groupArea.add(gridLineRow);
         adw_groupArea.add(gridColorRow);
+        adw_groupArea.add(spotlightRow);
+        adw_groupArea.add(spotlightDimRow);
+        adw_groupArea.add(magnifierRow);
 
         /* End of Area Group */
 
@@ -199,6 +256,96 @@ const DrawingPage = GObject.registerClass({
         dashOffsetButton.valign = Gtk.Align.CENTER;
         dashOffsetRow.add_suffix(dashOffsetButton);
 
+        let highlighterOpacityRow = Adw.ActionRow.new();
+        highlighterOpacityRow.set_title(this.schema.get_key('highlighter-opacity').get_summary());
+
+        let highlighterOpacityButton = new Gtk.SpinButton({ width_chars: 5, digits: 2,
+                                                            adjustment: new Gtk.Adjustment({ lower: 0.05, upper: 1, step_increment: 0.05, page_increment: 0.1 }),
+                                                            name: this.schema.get_key('highlighter-opacity').get_summary(),
+                                                            tooltip_text: this.schema.get_key('highlighter-opacity').get_description() });
+        this.settings.bind('highlighter-opacity', highlighterOpacityButton, 'value', 0);
+        highlighterOpacityButton.valign = Gtk.Align.CENTER;
+        highlighterOpacityRow.add_suffix(highlighterOpacityButton);
+
+        let laserRow = Adw.ActionRow.new();
+        laserRow.set_title(_("Laser pointer"));
+
+        let laserGlowButton = new Gtk.CheckButton({ label: _("Glow"),
+                                                    name: this.schema.get_key('laser-glow').get_summary(),
+                                                    tooltip_text: this.schema.get_key('laser-glow').get_description() });
+        let laserFadeDurationButton = new Gtk.SpinButton({ width_chars: 5, digits: 0,
+                                                           adjustment: new Gtk.Adjustment({ lower: 100, upper: 10000, step_increment: 100, page_increment: 1000 }),
+                                                           name: this.schema.get_key('laser-fade-duration').get_summary(),
+                                                           tooltip_text: this.schema.get_key('laser-fade-duration').get_description() });
+        let laserColorButton = new ColorStringButton({ use_alpha: true, show_editor: true,
+                                                       name: this.schema.get_key('laser-color').get_summary(),
+                                                       tooltip_text: this.schema.get_key('laser-color').get_description() });
+        this.settings.bind('laser-glow', laserGlowButton, 'active', 0);
+        this.settings.bind('laser-fade-duration', laserFadeDurationButton, 'value', 0);
+        this.settings.bind('laser-color', laserColorButton, 'color-string', 0);
+        laserGlowButton.valign = Gtk.Align.CENTER;
+        laserFadeDurationButton.valign = Gtk.Align.CENTER;
+        laserColorButton.valign = Gtk.Align.CENTER;
+        laserRow.add_suffix(laserGlowButton);
+        laserRow.add_suffix(laserFadeDurationButton);
+        laserRow.add_suffix(laserColorButton);
+
+        let shapeRecognitionRow = Adw.ActionRow.new();
+        shapeRecognitionRow.set_title(this.schema.get_key('shape-recognition-auto').get_summary());
+        shapeRecognitionRow.set_subtitle(this.schema.get_key('shape-recognition-auto').get_description());
+
+        let shapeRecognitionSwitch = new Gtk.Switch({ name: this.schema.get_key('shape-recognition-auto').get_summary() });
+        this.settings.bind('shape-recognition-auto', shapeRecognitionSwitch, 'active', 0);
+        shapeRecognitionSwitch.valign = Gtk.Align.CENTER;
+        shapeRecognitionRow.add_suffix(shapeRecognitionSwitch);
+
+        let pngDoubleSizeRow = Adw.ActionRow.new();
+        pngDoubleSizeRow.set_title(this.schema.get_key('png-double-size').get_summary());
+        pngDoubleSizeRow.set_subtitle(this.schema.get_key('png-double-size').get_description());
+
+        let pngDoubleSizeSwitch = new Gtk.Switch({ name: this.schema.get_key('png-double-size').get_summary() });
+        this.settings.bind('png-double-size', pngDoubleSizeSwitch, 'active', 0);
+        pngDoubleSizeSwitch.valign = Gtk.Align.CENTER;
+        pngDoubleSizeRow.add_suffix(pngDoubleSizeSwitch);
+
+        let svgEmbedDrawingRow = Adw.ActionRow.new();
+        svgEmbedDrawingRow.set_title(this.schema.get_key('svg-embed-drawing').get_summary());
+        svgEmbedDrawingRow.set_subtitle(this.schema.get_key('svg-embed-drawing').get_description());
+
+        let svgEmbedDrawingSwitch = new Gtk.Switch({ name: this.schema.get_key('svg-embed-drawing').get_summary() });
+        this.settings.bind('svg-embed-drawing', svgEmbedDrawingSwitch, 'active', 0);
+        svgEmbedDrawingSwitch.valign = Gtk.Align.CENTER;
+        svgEmbedDrawingRow.add_suffix(svgEmbedDrawingSwitch);
+
+        let screenshotAllMonitorsRow = Adw.ActionRow.new();
+        screenshotAllMonitorsRow.set_title(this.schema.get_key('screenshot-all-monitors').get_summary());
+        screenshotAllMonitorsRow.set_subtitle(this.schema.get_key('screenshot-all-monitors').get_description());
+
+        let screenshotAllMonitorsSwitch = new Gtk.Switch({ name: this.schema.get_key('screenshot-all-monitors').get_summary() });
+        this.settings.bind('screenshot-all-monitors', screenshotAllMonitorsSwitch, 'active', 0);
+        screenshotAllMonitorsSwitch.valign = Gtk.Align.CENTER;
+        screenshotAllMonitorsRow.add_suffix(screenshotAllMonitorsSwitch);
+
+        let screenshotToClipboardRow = Adw.ActionRow.new();
+        screenshotToClipboardRow.set_title(this.schema.get_key('screenshot-to-clipboard').get_summary());
+        screenshotToClipboardRow.set_subtitle(this.schema.get_key('screenshot-to-clipboard').get_description());
+
+        let screenshotToClipboardSwitch = new Gtk.Switch({ name: this.schema.get_key('screenshot-to-clipboard').get_summary() });
+        this.settings.bind('screenshot-to-clipboard', screenshotToClipboardSwitch, 'active', 0);
+        screenshotToClipboardSwitch.valign = Gtk.Align.CENTER;
+        screenshotToClipboardRow.add_suffix(screenshotToClipboardSwitch);
+
+        let historySizeRow = Adw.ActionRow.new();
+        historySizeRow.set_title(this.schema.get_key('history-size').get_summary());
+
+        let historySizeButton = new Gtk.SpinButton({ width_chars: 5, digits: 0,
+                                                     adjustment: new Gtk.Adjustment({ lower: 1, upper: 1000, step_increment: 10, page_increment: 100 }),
+                                                     name: this.schema.get_key('history-size').get_summary(),
+                                                     tooltip_text: this.schema.get_key('history-size').get_description() });
+        this.settings.bind('history-size', historySizeButton, 'value', 0);
+        historySizeButton.valign = Gtk.Align.CENTER;
+        historySizeRow.add_suffix(historySizeButton);
+
         let imageLocationRow = Adw.ActionRow.new();
         imageLocationRow.set_title(this.schema.get_key('image-location').get_summary());
 
@@ -209,10 +356,29 @@ const DrawingPage = GObject.registerClass({
         imageLocationButton.valign = Gtk.Align.CENTER;
         imageLocationRow.add_suffix(imageLocationButton);
 
+        let drawingLocationRow = Adw.ActionRow.new();
+        drawingLocationRow.set_title(this.schema.get_key('drawing-location').get_summary());
+
+        let drawingLocationButton = new FileChooserButton({ action: Gtk.FileChooserAction.SELECT_FOLDER,
+                                                            name: this.schema.get_key('drawing-location').get_summary(),
+                                                            tooltip_text: this.schema.get_key('drawing-location').get_description() });
+        this.settings.bind('drawing-location', drawingLocationButton, 'location', 0);
+        drawingLocationButton.valign = Gtk.Align.CENTER;
+        drawingLocationRow.add_suffix(drawingLocationButton);
+
 
         adw_groupTools.add(dashArrayRow);
         adw_groupTools.add(dashOffsetRow);
+        adw_groupTools.add(highlighterOpacityRow);
+        adw_groupTools.add(laserRow);
+        adw_groupTools.add(shapeRecognitionRow);
+        adw_groupTools.add(historySizeRow);
+        adw_groupTools.add(pngDoubleSizeRow);
+        adw_groupTools.add(svgEmbedDrawingRow);
+        adw_groupTools.add(screenshotAllMonitorsRow);
+        adw_groupTools.add(screenshotToClipboardRow);
         adw_groupTools.add(imageLocationRow);
+        adw_groupTools.add(drawingLocationRow);
 
         let resetButton = new Gtk.Button({ label: _("Reset settings"), halign: Gtk.Align.CENTER });
         resetButton.get_style_context().add_class('destructive-action');